@@ -1,4 +1,6 @@
 module.exports = {
     base_url     : 'https://slack.com/api/',
-    methods      : require('./methods')
+    oauth_url    : 'https://slack.com/oauth/v2/authorize',
+    methods      : require('./methods'),
+    tiers        : require('./tiers')
 };
\ No newline at end of file
@@ -1,97 +1,149 @@
-module.exports = ['auth.test',
-    'oauth.access',
-    'channels.archive',
-    'channels.create',
-    'channels.history',
-    'channels.info',
-    'channels.invite',
-    'channels.join',
-    'channels.kick',
-    'channels.leave',
-    'channels.list',
-    'channels.mark',
-    'channels.rename',
-    'channels.setPurpose',
-    'channels.setTopic',
-    'channels.unarchive',
-    'chat.delete',
-    'chat.postMessage',
-    'chat.update',
-    'chat.unfurl',
-    'dnd.endDnd',
-    'dnd.endSnooze',
-    'dnd.info',
-    'dnd.setSnooze',
-    'dnd.teamInfo',
-    'emoji.list',
-    'files.delete',
-    'files.info',
-    'files.list',
-    'files.upload',
-    'groups.archive',
-    'groups.close',
-    'groups.create',
-    'groups.createChild',
-    'groups.history',
-    'groups.info',
-    'groups.invite',
-    'groups.kick',
-    'groups.leave',
-    'groups.list',
-    'groups.mark',
-    'groups.open',
-    'groups.rename',
-    'groups.setPurpose',
-    'groups.setTopic',
-    'groups.unarchive',
-    'im.close',
-    'im.history',
-    'im.list',
-    'im.mark',
-    'im.open',
-    'mpim.close',
-    'mpim.history',
-    'mpim.list',
-    'mpim.mark',
-    'mpim.open',
-    'pins.add',
-    'pins.list',
-    'pins.remove',
-    'reactions.add',
-    'reactions.get',
-    'reactions.list',
-    'reactions.remove',
-    'reminders.add',
-    'reminders.complete',
-    'reminders.delete',
-    'reminders.info',
-    'reminders.list',
-    'search.all',
-    'search.files',
-    'search.messages',
-    'stars.add',
-    'stars.list',
-    'stars.remove',
-    'team.accessLogs',
-    'team.billableInfo',
-    'team.accessLogs',
-    'team.info',
-    'team.profile.get',
-    'usergroups.create',
-    'usergroups.disable',
-    'usergroups.enable',
-    'usergroups.list',
-    'usergroups.update',
-    'usergroups.users.list',
-    'usergroups.users.update',
-    'users.getPresence',
-    'users.info',
-    'users.identity',
-    'users.deletePhoto',
-    'users.list',
-    'users.setActive',
-    'users.setPresence',
-    'users.setPhoto',
-    'users.profile.get',
-    'users.profile.set'];
-
+// Every Web API method the bot knows about. Anything left out of a
+// method's metadata falls back to the defaults in lib/MethodRegistry.js:
+//
+// verb       - HTTP verb the request is sent with
+// tier       - rate limit tier, see config/tiers.js
+// required   - arguments that have to be given, an array inside means any one of them
+// scopes     - scopes that allow calling the method (any one of them is enough)
+// json       - whether the method takes a JSON body instead of a form
+// paginated  - 'cursor' or 'history', depending on how it pages
+// deprecated - true, or the name of the method that replaces it
+module.exports = {
+    'api.test'                   : { tier: 4 },
+    'auth.revoke'                : { tier: 3 },
+    'auth.test'                  : { tier: 4 },
+    'bots.info'                  : { tier: 3, scopes: ['users:read'] },
+    'channels.archive'           : { tier: 2, required: ['channel'], scopes: ['channels:manage'], deprecated: 'conversations.archive' },
+    'channels.create'            : { tier: 2, required: ['name'], scopes: ['channels:manage'], deprecated: 'conversations.create' },
+    'channels.history'           : { tier: 3, required: ['channel'], scopes: ['channels:history'], paginated: 'history', deprecated: 'conversations.history' },
+    'channels.info'              : { tier: 3, required: ['channel'], scopes: ['channels:read'], deprecated: 'conversations.info' },
+    'channels.invite'            : { tier: 3, required: ['channel', 'user'], scopes: ['channels:manage'], deprecated: 'conversations.invite' },
+    'channels.join'              : { tier: 3, required: ['name'], scopes: ['channels:join'], deprecated: 'conversations.join' },
+    'channels.kick'              : { tier: 3, required: ['channel', 'user'], scopes: ['channels:manage'], deprecated: 'conversations.kick' },
+    'channels.leave'             : { tier: 3, required: ['channel'], scopes: ['channels:manage'], deprecated: 'conversations.leave' },
+    'channels.list'              : { tier: 2, scopes: ['channels:read'], paginated: 'cursor', deprecated: 'conversations.list' },
+    'channels.mark'              : { tier: 3, required: ['channel', 'ts'], scopes: ['channels:manage'], deprecated: 'conversations.mark' },
+    'channels.rename'            : { tier: 2, required: ['channel', 'name'], scopes: ['channels:manage'], deprecated: 'conversations.rename' },
+    'channels.setPurpose'        : { tier: 2, required: ['channel', 'purpose'], scopes: ['channels:manage'], deprecated: 'conversations.setPurpose' },
+    'channels.setTopic'          : { tier: 2, required: ['channel', 'topic'], scopes: ['channels:manage'], deprecated: 'conversations.setTopic' },
+    'channels.unarchive'         : { tier: 2, required: ['channel'], scopes: ['channels:manage'], deprecated: 'conversations.unarchive' },
+    'chat.delete'                : { tier: 3, required: ['channel', 'ts'], scopes: ['chat:write'], json: true },
+    'chat.deleteScheduledMessage': { tier: 3, required: ['channel', 'scheduled_message_id'], scopes: ['chat:write'], json: true },
+    'chat.getPermalink'          : { tier: 4, required: ['channel', 'message_ts'] },
+    'chat.meMessage'             : { tier: 3, required: ['channel', 'text'], scopes: ['chat:write'], json: true },
+    'chat.postEphemeral'         : { tier: 4, required: ['channel', 'user', ['text', 'blocks', 'attachments']], scopes: ['chat:write'], json: true },
+    'chat.postMessage'           : { tier: 'special', required: ['channel', ['text', 'blocks', 'attachments']], scopes: ['chat:write'], json: true },
+    'chat.scheduleMessage'       : { tier: 3, required: ['channel', 'post_at', ['text', 'blocks', 'attachments']], scopes: ['chat:write'], json: true },
+    'chat.scheduledMessages.list': { tier: 3, scopes: ['chat:write'], json: true, paginated: 'cursor' },
+    'chat.unfurl'                : { tier: 3, required: ['channel', 'ts', 'unfurls'], scopes: ['links:write'], json: true },
+    'chat.update'                : { tier: 3, required: ['channel', 'ts'], scopes: ['chat:write'], json: true },
+    'conversations.archive'      : { tier: 2, required: ['channel'], scopes: ['channels:manage', 'groups:write', 'im:write', 'mpim:write'], json: true },
+    'conversations.close'        : { tier: 2, required: ['channel'], scopes: ['channels:manage', 'groups:write', 'im:write', 'mpim:write'], json: true },
+    'conversations.create'       : { tier: 2, required: ['name'], scopes: ['channels:manage', 'groups:write', 'im:write', 'mpim:write'], json: true },
+    'conversations.history'      : { tier: 3, required: ['channel'], scopes: ['channels:history', 'groups:history', 'im:history', 'mpim:history'], paginated: 'cursor' },
+    'conversations.info'         : { tier: 3, required: ['channel'], scopes: ['channels:read', 'groups:read', 'im:read', 'mpim:read'] },
+    'conversations.invite'       : { tier: 3, required: ['channel', 'users'], scopes: ['channels:manage', 'groups:write', 'im:write', 'mpim:write'], json: true },
+    'conversations.join'         : { tier: 3, required: ['channel'], scopes: ['channels:join'], json: true },
+    'conversations.kick'         : { tier: 3, required: ['channel', 'user'], scopes: ['channels:manage', 'groups:write', 'im:write', 'mpim:write'], json: true },
+    'conversations.leave'        : { tier: 3, required: ['channel'], scopes: ['channels:manage', 'groups:write', 'im:write', 'mpim:write'], json: true },
+    'conversations.list'         : { tier: 2, scopes: ['channels:read', 'groups:read', 'im:read', 'mpim:read'], paginated: 'cursor' },
+    'conversations.mark'         : { tier: 3, required: ['channel', 'ts'], scopes: ['channels:manage', 'groups:write', 'im:write', 'mpim:write'], json: true },
+    'conversations.members'      : { tier: 4, required: ['channel'], scopes: ['channels:read', 'groups:read', 'im:read', 'mpim:read'], paginated: 'cursor' },
+    'conversations.open'         : { tier: 3, required: [['channel', 'users']], scopes: ['channels:manage', 'groups:write', 'im:write', 'mpim:write'], json: true },
+    'conversations.rename'       : { tier: 2, required: ['channel', 'name'], scopes: ['channels:manage', 'groups:write', 'im:write', 'mpim:write'], json: true },
+    'conversations.replies'      : { tier: 3, required: ['channel', 'ts'], scopes: ['channels:history', 'groups:history', 'im:history', 'mpim:history'], paginated: 'cursor' },
+    'conversations.setPurpose'   : { tier: 2, required: ['channel', 'purpose'], scopes: ['channels:manage', 'groups:write', 'im:write', 'mpim:write'], json: true },
+    'conversations.setTopic'     : { tier: 3, required: ['channel', 'topic'], scopes: ['channels:manage', 'groups:write', 'im:write', 'mpim:write'], json: true },
+    'conversations.unarchive'    : { tier: 2, required: ['channel'], scopes: ['channels:manage', 'groups:write', 'im:write', 'mpim:write'], json: true },
+    'dialog.open'                : { tier: 4, required: ['dialog', 'trigger_id'], json: true },
+    'dnd.endDnd'                 : { tier: 2, scopes: ['dnd:write'] },
+    'dnd.endSnooze'              : { tier: 2, scopes: ['dnd:write'] },
+    'dnd.info'                   : { tier: 3, scopes: ['dnd:read'] },
+    'dnd.setSnooze'              : { tier: 2, required: ['num_minutes'], scopes: ['dnd:write'], json: true },
+    'dnd.teamInfo'               : { tier: 2, scopes: ['dnd:read'] },
+    'emoji.list'                 : { tier: 2, scopes: ['emoji:read'] },
+    'files.comments.delete'      : { tier: 2, required: ['file', 'id'], scopes: ['files:write'] },
+    'files.delete'               : { tier: 3, required: ['file'], scopes: ['files:write'] },
+    'files.info'                 : { tier: 4, required: ['file'], scopes: ['files:read'], paginated: 'cursor' },
+    'files.list'                 : { tier: 3, scopes: ['files:read'] },
+    'files.revokePublicURL'      : { tier: 3, required: ['file'], scopes: ['files:write'] },
+    'files.sharedPublicURL'      : { tier: 3, required: ['file'], scopes: ['files:write'] },
+    'files.upload'               : { tier: 2, required: [['file', 'content']], scopes: ['files:write'] },
+    'groups.archive'             : { tier: 2, required: ['channel'], scopes: ['groups:write'], deprecated: 'conversations.archive' },
+    'groups.close'               : { tier: 2, required: ['channel'], scopes: ['groups:write'], deprecated: 'conversations.close' },
+    'groups.create'              : { tier: 2, required: ['name'], scopes: ['groups:write'], deprecated: 'conversations.create' },
+    'groups.createChild'         : { tier: 2, required: ['channel'], scopes: ['groups:write'], deprecated: true },
+    'groups.history'             : { tier: 3, required: ['channel'], scopes: ['groups:history'], paginated: 'history', deprecated: 'conversations.history' },
+    'groups.info'                : { tier: 3, required: ['channel'], scopes: ['groups:read'], deprecated: 'conversations.info' },
+    'groups.invite'              : { tier: 3, required: ['channel', 'user'], scopes: ['groups:write'], deprecated: 'conversations.invite' },
+    'groups.kick'                : { tier: 3, required: ['channel', 'user'], scopes: ['groups:write'], deprecated: 'conversations.kick' },
+    'groups.leave'               : { tier: 3, required: ['channel'], scopes: ['groups:write'], deprecated: 'conversations.leave' },
+    'groups.list'                : { tier: 2, scopes: ['groups:read'], paginated: 'cursor', deprecated: 'conversations.list' },
+    'groups.mark'                : { tier: 3, required: ['channel', 'ts'], scopes: ['groups:write'], deprecated: 'conversations.mark' },
+    'groups.open'                : { tier: 3, required: ['channel'], scopes: ['groups:write'], deprecated: 'conversations.open' },
+    'groups.rename'              : { tier: 2, required: ['channel', 'name'], scopes: ['groups:write'], deprecated: 'conversations.rename' },
+    'groups.setPurpose'          : { tier: 2, required: ['channel', 'purpose'], scopes: ['groups:write'], deprecated: 'conversations.setPurpose' },
+    'groups.setTopic'            : { tier: 2, required: ['channel', 'topic'], scopes: ['groups:write'], deprecated: 'conversations.setTopic' },
+    'groups.unarchive'           : { tier: 2, required: ['channel'], scopes: ['groups:write'], deprecated: 'conversations.unarchive' },
+    'im.close'                   : { tier: 2, required: ['channel'], scopes: ['im:write'], deprecated: 'conversations.close' },
+    'im.history'                 : { tier: 3, required: ['channel'], scopes: ['im:history'], paginated: 'history', deprecated: 'conversations.history' },
+    'im.list'                    : { tier: 2, scopes: ['im:read'], paginated: 'cursor', deprecated: 'conversations.list' },
+    'im.mark'                    : { tier: 3, required: ['channel', 'ts'], scopes: ['im:write'], deprecated: 'conversations.mark' },
+    'im.open'                    : { tier: 3, required: ['user'], scopes: ['im:write'], deprecated: 'conversations.open' },
+    'migration.exchange'         : { tier: 2, required: ['users'] },
+    'mpim.close'                 : { tier: 2, required: ['channel'], scopes: ['mpim:write'], deprecated: 'conversations.close' },
+    'mpim.history'               : { tier: 3, required: ['channel'], scopes: ['mpim:history'], paginated: 'history', deprecated: 'conversations.history' },
+    'mpim.list'                  : { tier: 2, scopes: ['mpim:read'], paginated: 'cursor', deprecated: 'conversations.list' },
+    'mpim.mark'                  : { tier: 3, required: ['channel', 'ts'], scopes: ['mpim:write'], deprecated: 'conversations.mark' },
+    'mpim.open'                  : { tier: 3, required: ['users'], scopes: ['mpim:write'], deprecated: 'conversations.open' },
+    'oauth.access'               : { tier: 4, required: ['client_id', 'client_secret', 'code'] },
+    'oauth.v2.access'            : { tier: 4, required: ['client_id', 'client_secret', 'code'] },
+    'pins.add'                   : { tier: 2, required: ['channel'], scopes: ['pins:write'], json: true },
+    'pins.list'                  : { tier: 2, required: ['channel'], scopes: ['pins:read'] },
+    'pins.remove'                : { tier: 2, required: ['channel'], scopes: ['pins:write'], json: true },
+    'reactions.add'              : { tier: 3, required: ['channel', 'name', 'timestamp'], scopes: ['reactions:write'], json: true },
+    'reactions.get'              : { tier: 3, scopes: ['reactions:read'] },
+    'reactions.list'             : { tier: 2, scopes: ['reactions:read'], paginated: 'cursor' },
+    'reactions.remove'           : { tier: 2, required: ['name'], scopes: ['reactions:write'], json: true },
+    'reminders.add'              : { tier: 2, required: ['text', 'time'], scopes: ['reminders:write'], json: true },
+    'reminders.complete'         : { tier: 2, required: ['reminder'], scopes: ['reminders:write'] },
+    'reminders.delete'           : { tier: 2, required: ['reminder'], scopes: ['reminders:write'] },
+    'reminders.info'             : { tier: 2, required: ['reminder'], scopes: ['reminders:read'] },
+    'reminders.list'             : { tier: 2, scopes: ['reminders:read'] },
+    'rtm.connect'                : { tier: 1, scopes: ['rtm:stream'] },
+    'rtm.start'                  : { tier: 1, scopes: ['rtm:stream'] },
+    'search.all'                 : { tier: 2, required: ['query'], scopes: ['search:read'] },
+    'search.files'               : { tier: 2, required: ['query'], scopes: ['search:read'] },
+    'search.messages'            : { tier: 2, required: ['query'], scopes: ['search:read'] },
+    'stars.add'                  : { tier: 2, scopes: ['stars:write'], json: true },
+    'stars.list'                 : { tier: 3, scopes: ['stars:read'], paginated: 'cursor' },
+    'stars.remove'               : { tier: 2, scopes: ['stars:write'], json: true },
+    'team.accessLogs'            : { tier: 2, scopes: ['admin'] },
+    'team.billableInfo'          : { tier: 2, scopes: ['admin'] },
+    'team.info'                  : { tier: 3, scopes: ['team:read'] },
+    'team.integrationLogs'       : { tier: 2, scopes: ['admin'] },
+    'team.profile.get'           : { tier: 3, scopes: ['users.profile:read'] },
+    'usergroups.create'          : { tier: 2, required: ['name'], scopes: ['usergroups:write'] },
+    'usergroups.disable'         : { tier: 2, required: ['usergroup'], scopes: ['usergroups:write'] },
+    'usergroups.enable'          : { tier: 2, required: ['usergroup'], scopes: ['usergroups:write'] },
+    'usergroups.list'            : { tier: 2, scopes: ['usergroups:read'] },
+    'usergroups.update'          : { tier: 2, required: ['usergroup'], scopes: ['usergroups:write'] },
+    'usergroups.users.list'      : { tier: 2, required: ['usergroup'], scopes: ['usergroups:read'] },
+    'usergroups.users.update'    : { tier: 2, required: ['usergroup', 'users'], scopes: ['usergroups:write'] },
+    'users.conversations'        : { tier: 3, scopes: ['channels:read', 'groups:read', 'im:read', 'mpim:read'], paginated: 'cursor' },
+    'users.deletePhoto'          : { tier: 2, scopes: ['users.profile:write'] },
+    'users.getPresence'          : { tier: 3, required: ['user'], scopes: ['users:read'] },
+    'users.identity'             : { tier: 4, scopes: ['identity.basic'] },
+    'users.info'                 : { tier: 4, required: ['user'], scopes: ['users:read'] },
+    'users.list'                 : { tier: 2, scopes: ['users:read'], paginated: 'cursor' },
+    'users.lookupByEmail'        : { tier: 3, required: ['email'], scopes: ['users:read.email'] },
+    'users.profile.get'          : { tier: 4, scopes: ['users.profile:read'] },
+    'users.profile.set'          : { tier: 3, scopes: ['users.profile:write'], json: true },
+    'users.setActive'            : { tier: 2, scopes: ['users:write'], deprecated: true },
+    'users.setPhoto'             : { tier: 2, required: ['image'], scopes: ['users.profile:write'] },
+    'users.setPresence'          : { tier: 2, required: ['presence'], scopes: ['users:write'] },
+    'views.open'                 : { tier: 4, required: ['trigger_id', 'view'], json: true },
+    'views.publish'              : { tier: 4, required: ['user_id', 'view'], json: true },
+    'views.push'                 : { tier: 4, required: ['trigger_id', 'view'], json: true },
+    'views.update'               : { tier: 4, required: ['view'], json: true }
+};
\ No newline at end of file
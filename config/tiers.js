@@ -0,0 +1,13 @@
+// Requests per minute allowed for each method in Slack's rate limit
+// tiers. 'special' covers chat.postMessage, which is limited to roughly
+// one message per second in each channel instead of following a
+// regular tier.
+const limits = {
+    1       : 1,
+    2       : 20,
+    3       : 50,
+    4       : 100,
+    special : 60
+};
+
+module.exports = { limits };
\ No newline at end of file
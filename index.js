@@ -1 +1,14 @@
-module.exports = require('./lib/SlackAPI');
\ No newline at end of file
+module.exports = require('./lib/SlackAPI');
+
+module.exports.EventReceiver     = require('./lib/EventReceiver');
+module.exports.InteractionRouter = require('./lib/InteractionRouter');
+module.exports.WorkspaceManager  = require('./lib/WorkspaceManager');
+module.exports.BlockKit          = require('./lib/BlockKit');
+module.exports.format            = require('./lib/formatting');
+module.exports.MockSlackServer   = require('./lib/MockSlackServer');
+module.exports.SlackTestHarness  = require('./lib/SlackTestHarness');
+
+Object.assign(module.exports, require('./lib/SlackError'));
+Object.assign(module.exports, require('./lib/cacheAdapters'));
+Object.assign(module.exports, require('./lib/installationStores'));
+Object.assign(module.exports, require('./lib/outboxStores'));
\ No newline at end of file
@@ -0,0 +1,375 @@
+const { SlackBlockError } = require('./SlackError');
+
+// https://api.slack.com/reference/block-kit
+const LIMITS = {
+    blocks          : {message: 50, modal: 100, home: 100},
+    blockId         : 255,
+    actionId        : 255,
+    sectionText     : 3000,
+    fields          : 10,
+    fieldText       : 2000,
+    headerText      : 150,
+    imageUrl        : 3000,
+    altText         : 2000,
+    imageTitle      : 2000,
+    contextElements : 10,
+    actionElements  : 25,
+    label           : 2000,
+    hint            : 2000,
+    placeholder     : 150,
+    buttonText      : 75,
+    buttonValue     : 2000,
+    buttonUrl       : 3000,
+    optionText      : 75,
+    optionValue     : 150,
+    options         : 100,
+    overflowOptions : 5,
+    viewTitle       : 24,
+    viewButton      : 24,
+    callbackId      : 255,
+    privateMetadata : 3000
+};
+
+// Strings are turned into text objects, text objects are left alone
+function plainText(text, emoji = true){
+    return (typeof text === 'object') ? text : {type: 'plain_text', text: String(text), emoji};
+}
+
+function mrkdwn(text){
+    return (typeof text === 'object') ? text : {type: 'mrkdwn', text: String(text)};
+}
+
+function textOf(text){
+    return (text && typeof text === 'object') ? text.text : text;
+}
+
+// Options can be given as option objects, [text, value] or just text
+function option(text, value, description){
+    if(typeof text === 'object' && !text.type){
+        return text;
+    }
+
+    const result = {text: plainText(text), value: String((value != null) ? value : textOf(text))};
+
+    if(description != null){
+        result.description = plainText(description);
+    }
+
+    return result;
+}
+
+function toOptions(options){
+    return options.map((item)=> (Array.isArray(item)) ? option(...item) : option(item));
+}
+
+function confirm(title, text, confirmText = 'Yes', denyText = 'No'){
+    return {
+        title   : plainText(title),
+        text    : mrkdwn(text),
+        confirm : plainText(confirmText),
+        deny    : plainText(denyText)
+    };
+}
+
+function button(text, actionId, extra = {}){
+    return Object.assign({type: 'button', text: plainText(text), action_id: actionId}, extra);
+}
+
+// Any kind of select, e.g. select('users_select', 'Pick someone', 'assignee')
+function select(type, placeholder, actionId, extra = {}){
+    return Object.assign({type, placeholder: plainText(placeholder), action_id: actionId}, extra);
+}
+
+function staticSelect(placeholder, actionId, options, extra = {}){
+    return select('static_select', placeholder, actionId, Object.assign({options: toOptions(options)}, extra));
+}
+
+function overflow(actionId, options, extra = {}){
+    return Object.assign({type: 'overflow', action_id: actionId, options: toOptions(options)}, extra);
+}
+
+function datepicker(actionId, extra = {}){
+    return Object.assign({type: 'datepicker', action_id: actionId}, extra);
+}
+
+function textInput(actionId, extra = {}){
+    return Object.assign({type: 'plain_text_input', action_id: actionId}, extra);
+}
+
+function image(url, altText){
+    return {type: 'image', image_url: url, alt_text: altText};
+}
+
+class Validator{
+    constructor(){
+        this.problems = [];
+        this.blockIds = new Set();
+    }
+
+    add(path, problem){
+        this.problems.push(`${path} ${problem}`);
+    }
+
+    length(path, value, max, required = false){
+        const text = textOf(value);
+
+        if(text == null || text === ''){
+            if(required) this.add(path, 'is required');
+            return;
+        }
+
+        if(String(text).length > max){
+            this.add(path, `is longer than ${max} characters`);
+        }
+    }
+
+    count(path, items, max, required = false){
+        if(!Array.isArray(items) || !items.length){
+            if(required) this.add(path, 'needs at least one item');
+            return;
+        }
+
+        if(items.length > max){
+            this.add(path, `has more than ${max} items`);
+        }
+    }
+
+    options(path, options, max){
+        this.count(path, options, max, true);
+
+        (options || []).forEach((item, i)=>{
+            this.length(`${path}[${i}].text`, item.text, LIMITS.optionText, true);
+            this.length(`${path}[${i}].value`, item.value, LIMITS.optionValue, true);
+            this.length(`${path}[${i}].description`, item.description, LIMITS.optionText);
+        });
+    }
+
+    element(path, element){
+        this.length(`${path}.action_id`, element.action_id, LIMITS.actionId);
+        this.length(`${path}.placeholder`, element.placeholder, LIMITS.placeholder);
+
+        switch(element.type){
+            case 'button':
+                this.length(`${path}.text`, element.text, LIMITS.buttonText, true);
+                this.length(`${path}.value`, element.value, LIMITS.buttonValue);
+                this.length(`${path}.url`, element.url, LIMITS.buttonUrl);
+                break;
+            case 'static_select':
+            case 'multi_static_select':
+                if(!element.option_groups) this.options(`${path}.options`, element.options, LIMITS.options);
+                break;
+            case 'overflow':
+                this.options(`${path}.options`, element.options, LIMITS.overflowOptions);
+                break;
+            case 'image':
+                this.length(`${path}.image_url`, element.image_url, LIMITS.imageUrl, true);
+                this.length(`${path}.alt_text`, element.alt_text, LIMITS.altText, true);
+                break;
+        }
+    }
+
+    block(path, block){
+        if(block.block_id != null){
+            this.length(`${path}.block_id`, block.block_id, LIMITS.blockId);
+
+            if(this.blockIds.has(block.block_id)) this.add(`${path}.block_id`, `"${block.block_id}" is used more than once`);
+
+            this.blockIds.add(block.block_id);
+        }
+
+        switch(block.type){
+            case 'section':
+                if(!block.text && !block.fields) this.add(path, 'needs text or fields');
+
+                this.length(`${path}.text`, block.text, LIMITS.sectionText);
+                this.count(`${path}.fields`, block.fields, LIMITS.fields);
+                (block.fields || []).forEach((field, i)=> this.length(`${path}.fields[${i}]`, field, LIMITS.fieldText));
+
+                if(block.accessory) this.element(`${path}.accessory`, block.accessory);
+                break;
+            case 'header':
+                this.length(`${path}.text`, block.text, LIMITS.headerText, true);
+                break;
+            case 'image':
+                this.length(`${path}.image_url`, block.image_url, LIMITS.imageUrl, true);
+                this.length(`${path}.alt_text`, block.alt_text, LIMITS.altText, true);
+                this.length(`${path}.title`, block.title, LIMITS.imageTitle);
+                break;
+            case 'context':
+                this.count(`${path}.elements`, block.elements, LIMITS.contextElements, true);
+                (block.elements || []).forEach((element, i)=>{
+                    if(element.type === 'image') this.element(`${path}.elements[${i}]`, element);
+                });
+                break;
+            case 'actions':
+                this.count(`${path}.elements`, block.elements, LIMITS.actionElements, true);
+                (block.elements || []).forEach((element, i)=> this.element(`${path}.elements[${i}]`, element));
+                break;
+            case 'input':
+                this.length(`${path}.label`, block.label, LIMITS.label, true);
+                this.length(`${path}.hint`, block.hint, LIMITS.hint);
+
+                if(!block.element) this.add(`${path}.element`, 'is required');
+                else this.element(`${path}.element`, block.element);
+                break;
+        }
+    }
+
+    blocks(blocks, surface){
+        this.count('blocks', blocks, LIMITS.blocks[surface] || LIMITS.blocks.message);
+
+        (blocks || []).forEach((block, i)=> this.block(`blocks[${i}]`, block));
+    }
+
+    view(view){
+        if(view.type === 'modal'){
+            this.length('title', view.title, LIMITS.viewTitle, true);
+            this.length('submit', view.submit, LIMITS.viewButton);
+            this.length('close', view.close, LIMITS.viewButton);
+
+            if(!view.submit && (view.blocks || []).some((block)=> block.type === 'input')){
+                this.add('submit', 'is required when a modal has input blocks');
+            }
+        }
+
+        this.length('callback_id', view.callback_id, LIMITS.callbackId);
+        this.length('private_metadata', view.private_metadata, LIMITS.privateMetadata);
+        this.blocks(view.blocks, view.type);
+    }
+}
+
+// Builds blocks for a message, modal or home tab, checking them against
+// Slack's limits so mistakes are caught before Slack rejects them:
+//
+// new BlockKit()
+//     .header('Deploy')
+//     .section('Deploy *frozor-slack* to production?', {accessory: BlockKit.button('Deploy', 'deploy', {style: 'primary'})})
+//     .build();
+//
+// Strings are turned into mrkdwn or plain_text as appropriate, and
+// anything else in options is copied onto the block as it is.
+class BlockKit{
+    constructor(surface = 'message', view = {}){
+        this.surface = surface;
+        this.view    = view;
+        this.blocks  = [];
+    }
+
+    static modal(view = {}){
+        return new BlockKit('modal', view);
+    }
+
+    static home(view = {}){
+        return new BlockKit('home', view);
+    }
+
+    // Checks blocks that weren't built here, returns a list of problems
+    static validate(blocks, surface = 'message'){
+        const validator = new Validator();
+
+        validator.blocks(blocks, surface);
+
+        return validator.problems;
+    }
+
+    add(block){
+        this.blocks.push(block);
+
+        return this;
+    }
+
+    section(text, options = {}){
+        const block = Object.assign({type: 'section'}, options);
+
+        if(text != null) block.text = mrkdwn(text);
+        if(options.fields) block.fields = options.fields.map((field)=> mrkdwn(field));
+
+        return this.add(block);
+    }
+
+    header(text, options = {}){
+        return this.add(Object.assign({type: 'header', text: plainText(text)}, options));
+    }
+
+    divider(options = {}){
+        return this.add(Object.assign({type: 'divider'}, options));
+    }
+
+    image(url, altText, options = {}){
+        const block = Object.assign({type: 'image', image_url: url, alt_text: altText}, options);
+
+        if(options.title != null) block.title = plainText(options.title);
+
+        return this.add(block);
+    }
+
+    context(elements, options = {}){
+        return this.add(Object.assign({type: 'context', elements: [].concat(elements).map((element)=> mrkdwn(element))}, options));
+    }
+
+    actions(elements, options = {}){
+        return this.add(Object.assign({type: 'actions', elements: [].concat(elements)}, options));
+    }
+
+    input(label, element, options = {}){
+        const block = Object.assign({type: 'input', label: plainText(label), element}, options);
+
+        if(options.hint != null) block.hint = plainText(options.hint);
+
+        return this.add(block);
+    }
+
+    toView(){
+        const view = Object.assign({type: this.surface}, this.view, {blocks: this.blocks});
+
+        for(let key of ['title', 'submit', 'close']){
+            if(view[key] != null) view[key] = plainText(view[key]);
+        }
+
+        if(view.private_metadata != null && typeof view.private_metadata !== 'string'){
+            view.private_metadata = JSON.stringify(view.private_metadata);
+        }
+
+        return view;
+    }
+
+    validate(){
+        const validator = new Validator();
+
+        if(this.surface === 'message'){
+            validator.blocks(this.blocks, this.surface);
+        }else{
+            validator.view(this.toView());
+        }
+
+        return validator.problems;
+    }
+
+    // The blocks for a message, or the whole view for a modal or home tab
+    build(){
+        const problems = this.validate();
+
+        if(problems.length){
+            throw new SlackBlockError(problems);
+        }
+
+        return (this.surface === 'message') ? this.blocks : this.toView();
+    }
+}
+
+Object.assign(BlockKit, {
+    LIMITS,
+    plainText,
+    mrkdwn,
+    option,
+    confirm,
+    button,
+    select,
+    staticSelect,
+    overflow,
+    datepicker,
+    textInput,
+    image
+});
+
+module.exports = BlockKit;
@@ -0,0 +1,65 @@
+const HTTPReceiver = require('./HTTPReceiver');
+const verification = require('./requestVerification');
+
+class EventReceiver extends HTTPReceiver{
+    constructor(options = {}){
+        super(options, '/slack/events');
+
+        this.dedupeWindow = options.dedupeWindow || 10*60*1000;
+
+        // event_id -> when we first saw it, so Slack's retries aren't emitted twice
+        this.seenEvents   = new Map();
+    }
+
+    isDuplicate(eventId){
+        const now = Date.now();
+
+        for(let [id, seen] of this.seenEvents){
+            if(now - seen < this.dedupeWindow) break;
+
+            this.seenEvents.delete(id);
+        }
+
+        if(this.seenEvents.has(eventId)){
+            return true;
+        }
+
+        this.seenEvents.set(eventId, now);
+
+        return false;
+    }
+
+    handlePayload(payload){
+        if(payload.type !== 'event_callback' || !payload.event){
+            return;
+        }
+
+        if(payload.event_id && this.isDuplicate(payload.event_id)){
+            return this.emit('duplicate', payload);
+        }
+
+        this.emit('event', payload.event.type, payload.event, payload);
+    }
+
+    handleRequest(req, res, body){
+        let payload;
+
+        try{
+            payload = JSON.parse(body);
+        }catch(e){
+            this.emit('requestRejected', 'invalid json', req);
+            return verification.sendJSON(res, 400, {ok: false, error: 'invalid json'});
+        }
+
+        if(payload.type === 'url_verification'){
+            return verification.sendJSON(res, 200, {challenge: payload.challenge});
+        }
+
+        // Answer first, Slack only waits 3 seconds before retrying
+        verification.sendJSON(res, 200, {ok: true});
+
+        this.handlePayload(payload);
+    }
+}
+
+module.exports = EventReceiver;
\ No newline at end of file
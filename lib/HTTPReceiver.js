@@ -0,0 +1,73 @@
+const EventEmitter = require('events');
+const http         = require('http');
+const verification = require('./requestVerification');
+const httpServer   = require('./httpServer');
+
+// Everything Slack POSTs to us is signed the same way, so this takes
+// care of reading and verifying requests and serving them, and
+// subclasses only have to implement handleRequest.
+class HTTPReceiver extends EventEmitter{
+    constructor(options = {}, defaultPath){
+        super();
+
+        if(!options.signingSecret){
+            throw new Error('A signing secret is required to receive requests from Slack');
+        }
+
+        this.signingSecret = options.signingSecret;
+        this.path          = options.path || defaultPath;
+        this.maxAge        = options.maxAge || 5*60*1000;
+        this.server        = null;
+    }
+
+    handleRequest(req, res, body){
+        throw new Error('handleRequest must be implemented by a subclass');
+    }
+
+    // A (req, res) handler that can be mounted on any node http server
+    // or framework, as long as the body hasn't been parsed yet (or is on
+    // req.rawBody).
+    requestHandler(){
+        return (req, res)=>{
+            verification.readRawBody(req).then((body)=>{
+                const reason = verification.verifySignature(this.signingSecret, req.headers, body, this.maxAge);
+
+                if(reason){
+                    this.emit('requestRejected', reason, req);
+                    return verification.sendJSON(res, 401, {ok: false, error: reason});
+                }
+
+                return this.handleRequest(req, res, body);
+            }).catch((e)=>{
+                this.emit('requestRejected', e.message, req);
+
+                if(!res.headersSent){
+                    verification.sendJSON(res, 500, {ok: false});
+                }
+            });
+        };
+    }
+
+    listen(port, host){
+        const handler = this.requestHandler();
+
+        this.server = http.createServer((req, res)=>{
+            if(req.method !== 'POST' || req.url.split('?')[0] !== this.path){
+                return verification.sendJSON(res, 404, {ok: false, error: 'not found'});
+            }
+
+            handler(req, res);
+        });
+
+        return httpServer.listen(this.server, port, host);
+    }
+
+    close(){
+        const server = this.server;
+        this.server  = null;
+
+        return httpServer.close(server);
+    }
+}
+
+module.exports = HTTPReceiver;
\ No newline at end of file
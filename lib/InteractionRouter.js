@@ -0,0 +1,176 @@
+const querystring  = require('querystring');
+const HTTPReceiver = require('./HTTPReceiver');
+const verification = require('./requestVerification');
+const slackRequest = require('./slackRequest');
+
+// Slack gives up on an interaction after 3 seconds, so anything that
+// hasn't been acknowledged by then is acknowledged with an empty 200.
+const DEFAULT_ACK_TIMEOUT = 2500;
+
+function matches(matcher, value){
+    if(value == null){
+        return false;
+    }
+
+    if(matcher instanceof RegExp){
+        return matcher.test(value);
+    }
+
+    return matcher === value;
+}
+
+class InteractionRouter extends HTTPReceiver{
+    constructor(options = {}){
+        super(options, '/slack/interactions');
+
+        this.client     = options.client;
+        this.ackTimeout = options.ackTimeout || DEFAULT_ACK_TIMEOUT;
+
+        this.routes = {
+            command  : [],
+            action   : [],
+            view     : [],
+            dialog   : [],
+            shortcut : []
+        };
+    }
+
+    addRoute(type, matcher, handler){
+        this.routes[type].push({matcher, handler});
+
+        return this;
+    }
+
+    // Slash commands, by name with or without the slash
+    command(name, handler){
+        return this.addRoute('command', (typeof name === 'string') ? name.replace(/^\//, '') : name, handler);
+    }
+
+    // block_actions by action_id, or legacy interactive messages by callback_id
+    action(actionId, handler){
+        return this.addRoute('action', actionId, handler);
+    }
+
+    // view_submission and view_closed, by the view's callback_id or id
+    view(callbackId, handler){
+        return this.addRoute('view', callbackId, handler);
+    }
+
+    dialog(callbackId, handler){
+        return this.addRoute('dialog', callbackId, handler);
+    }
+
+    // Global and message shortcuts, by callback_id
+    shortcut(callbackId, handler){
+        return this.addRoute('shortcut', callbackId, handler);
+    }
+
+    findRoute(type, ...values){
+        for(let route of this.routes[type]){
+            if(values.some((value)=> matches(route.matcher, value))){
+                return route;
+            }
+        }
+
+        return null;
+    }
+
+    // Returns the route for a payload along with the action that
+    // matched it, if it was a block action.
+    findHandler(payload){
+        if(payload.command){
+            return {route: this.findRoute('command', payload.command.replace(/^\//, ''))};
+        }
+
+        switch(payload.type){
+            case 'block_actions':
+                for(let action of payload.actions || []){
+                    const route = this.findRoute('action', action.action_id);
+
+                    if(route){
+                        return {route, action};
+                    }
+                }
+                return {route: null};
+            case 'interactive_message':
+                return {route: this.findRoute('action', payload.callback_id), action: (payload.actions || [])[0]};
+            case 'view_submission':
+            case 'view_closed':
+                return {route: this.findRoute('view', payload.view.callback_id, payload.view.id)};
+            case 'dialog_submission':
+            case 'dialog_cancellation':
+                return {route: this.findRoute('dialog', payload.callback_id)};
+            case 'shortcut':
+            case 'message_action':
+                return {route: this.findRoute('shortcut', payload.callback_id)};
+        }
+
+        return {route: null};
+    }
+
+    handleRequest(req, res, body){
+        const form = querystring.parse(body);
+        let payload;
+
+        try{
+            payload = (form.payload) ? JSON.parse(form.payload) : form;
+        }catch(e){
+            this.emit('requestRejected', 'invalid payload', req);
+            return verification.sendJSON(res, 400, {ok: false, error: 'invalid payload'});
+        }
+
+        let acked = false;
+        let timer = null;
+
+        const ack = (response)=>{
+            if(acked) return;
+
+            acked = true;
+            clearTimeout(timer);
+
+            // Something else already answered, e.g. HTTPReceiver with a 500
+            if(res.headersSent) return;
+
+            if(response == null){
+                res.writeHead(200);
+                return res.end();
+            }
+
+            verification.sendJSON(res, 200, (typeof response === 'string') ? {text: response} : response);
+        };
+
+        const {route, action} = this.findHandler(payload);
+
+        if(!route){
+            ack();
+            return this.emit('unhandled', payload);
+        }
+
+        // Started once the payload's been routed, so one that can't be
+        // (and gets a 500) doesn't leave a timer behind to answer it again
+        timer = setTimeout(()=> ack(), this.ackTimeout);
+
+        const context = {
+            payload,
+            action,
+            client  : this.client,
+            ack,
+            respond : (message)=>{
+                if(!payload.response_url){
+                    return Promise.reject(new Error('This interaction has no response_url to respond to'));
+                }
+
+                return slackRequest.respond(payload.response_url, message, (this.client) ? this.client.requestOptions : {});
+            }
+        };
+
+        return Promise.resolve()
+            .then(()=> route.handler(context))
+            .then(()=> ack(), (e)=>{
+                ack();
+                this.emit('handlerError', e, payload);
+            });
+    }
+}
+
+module.exports = InteractionRouter;
\ No newline at end of file
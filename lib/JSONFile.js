@@ -0,0 +1,53 @@
+const fs   = require('fs');
+const path = require('path');
+
+// A JSON file the file backed stores keep everything in. Writes go to a
+// temporary file that's renamed over the real one, so a crash mid-write
+// can't leave half a file behind, and only one runs at a time so they
+// can't overlap. Each write saves whatever the data is when it starts.
+class JSONFile{
+    constructor(file){
+        this.file    = path.resolve(file);
+        this.writing = Promise.resolve();
+    }
+
+    // Resolves with the parsed contents, or undefined if nothing's been written yet
+    read(){
+        return new Promise((resolve, reject)=>{
+            fs.readFile(this.file, 'utf8', (err, contents)=>{
+                if(err){
+                    return (err.code === 'ENOENT') ? resolve() : reject(err);
+                }
+
+                try{
+                    resolve(JSON.parse(contents));
+                }catch(e){
+                    reject(e);
+                }
+            });
+        });
+    }
+
+    // data can be a function, to serialize whatever is current once the
+    // write actually starts
+    write(data){
+        const temp  = `${this.file}.tmp`;
+        const write = ()=> new Promise((resolve, reject)=>{
+            const json = JSON.stringify((typeof data === 'function') ? data() : data);
+
+            fs.writeFile(temp, json, (err)=>{
+                if(err){
+                    return reject(err);
+                }
+
+                fs.rename(temp, this.file, (err)=> (err) ? reject(err) : resolve());
+            });
+        });
+
+        this.writing = this.writing.then(write, write);
+
+        return this.writing;
+    }
+}
+
+module.exports = JSONFile;
@@ -0,0 +1,179 @@
+// Runs Koa-style (context, next) middleware in order
+function compose(middleware){
+    return (context)=>{
+        const dispatch = (i)=>{
+            const fn = middleware[i];
+
+            if(!fn){
+                return Promise.resolve();
+            }
+
+            return Promise.resolve().then(()=> fn(context, ()=> dispatch(i+1)));
+        };
+
+        return dispatch(0);
+    };
+}
+
+function escapeRegExp(text){
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Strings shouldn't match inside a longer word. \b can't do that for
+// strings that start or end with punctuation ('!help', 'c++'), since
+// there's no word boundary between punctuation and a space.
+function toRegExp(pattern){
+    return (pattern instanceof RegExp) ? pattern : new RegExp(`(?<!\\w)${escapeRegExp(pattern)}(?!\\w)`, 'i');
+}
+
+class MessagePipeline{
+    constructor(client, options = {}){
+        this.client         = client;
+        this.commandPrefix  = (options.commandPrefix != null) ? options.commandPrefix : '!';
+        this.ignoreBots     = options.ignoreBots !== false;
+        this.ignoreSubtypes = options.ignoreSubtypes !== false;
+
+        this.middleware     = [];
+        this.listeners      = [];
+        this.attached       = false;
+    }
+
+    // Only start looking at messages once someone cares about them,
+    // since building a context can mean looking up users and channels.
+    attach(){
+        if(this.attached) return;
+
+        this.attached = true;
+
+        this.client.on('message', (message)=>{
+            this.handleMessage(message).catch((e)=> this.client.emit('messageError', e, message));
+        });
+    }
+
+    use(...middleware){
+        this.middleware.push(...middleware);
+        this.attach();
+
+        return this;
+    }
+
+    // Everything but the last function is middleware for this listener only
+    addListener(match, fns){
+        this.listeners.push({match, run: compose(fns)});
+        this.attach();
+
+        return this;
+    }
+
+    hears(pattern, ...fns){
+        const regex = toRegExp(pattern);
+
+        return this.addListener((context)=>{
+            const match = context.text.match(regex);
+
+            if(!match) return false;
+
+            context.match = match;
+
+            return true;
+        }, fns);
+    }
+
+    // Matches '!name args', or just 'name args' when the bot is
+    // mentioned at the start of the message or DMed.
+    command(name, ...fns){
+        const regex = new RegExp(`^(${escapeRegExp(this.commandPrefix)})?${escapeRegExp(name)}(?:\\s+|$)`, 'i');
+
+        return this.addListener((context)=>{
+            const match = context.commandText.match(regex);
+
+            if(!match || (!match[1] && !context.isDirect && !context.isMention)) return false;
+
+            const rest = context.commandText.substr(match[0].length).trim();
+
+            context.command = name;
+            context.args    = (rest) ? rest.split(/\s+/) : [];
+            context.argText = rest;
+
+            return true;
+        }, fns);
+    }
+
+    shouldIgnore(message, self){
+        if(self && message.user === self.id) return true;
+
+        if(this.ignoreBots && (message.bot_id || message.subtype === 'bot_message')) return true;
+
+        return this.ignoreSubtypes && !!message.subtype;
+    }
+
+    async createContext(message, self){
+        const text      = message.text || '';
+        const selfId    = (self) ? self.id : null;
+        const mention   = (selfId) ? new RegExp(`<@${selfId}(\\|[^>]*)?>`) : null;
+        const leading   = (selfId) ? new RegExp(`^\\s*<@${selfId}(\\|[^>]*)?>:?\\s*`) : null;
+
+        // A failed lookup shouldn't stop the message from being handled
+        const [user, channel] = await Promise.all([
+            (message.user) ? this.client.storage.users.get(message.user).catch(()=> null) : null,
+            (message.channel) ? this.client.storage.conversations.get(message.channel).catch(()=> null) : null
+        ]);
+
+        const context = {
+            client      : this.client,
+            message,
+            text,
+            user,
+            channel,
+            isDirect    : !!message.channel && message.channel.charAt(0) === 'D',
+            isMention   : !!mention && mention.test(text),
+            commandText : (leading) ? text.replace(leading, '') : text
+        };
+
+        context.reply = (reply, options = {})=> this.reply(context, reply, options);
+
+        return context;
+    }
+
+    // Replies in the message's thread if it was in one (or if asked
+    // to start one), or in a DM if options.direct is set.
+    async reply(context, reply, options = {}){
+        const args = Object.assign({}, (typeof reply === 'string') ? {text: reply} : reply);
+
+        if(options.direct && !context.isDirect){
+            const im = await this.client.storage.ims.forUser(context.message.user);
+
+            args.channel = im.id;
+        }else{
+            args.channel = context.message.channel;
+
+            const threadTs = context.message.thread_ts || ((options.thread) ? context.message.ts : null);
+
+            if(threadTs && !args.thread_ts){
+                args.thread_ts = threadTs;
+            }
+        }
+
+        return this.client.methods.chat.postMessage(args);
+    }
+
+    async handleMessage(message){
+        const self = await this.client.storage.self.get().catch(()=> null);
+
+        if(this.shouldIgnore(message, self)){
+            return;
+        }
+
+        const context = await this.createContext(message, self);
+
+        await compose(this.middleware.concat([()=>{
+            const listener = this.listeners.find((listener)=> listener.match(context));
+
+            if(listener){
+                return listener.run(context);
+            }
+        }]))(context);
+    }
+}
+
+module.exports = MessagePipeline;
\ No newline at end of file
@@ -0,0 +1,58 @@
+const config = require('../config/');
+
+const DEFAULTS = {
+    verb       : 'POST',
+    tier       : 3,
+    required   : [],
+    scopes     : [],
+    json       : false,
+    paginated  : false,
+    deprecated : false
+};
+
+class MethodRegistry{
+    constructor(methods = config.methods){
+        this.methods = {};
+
+        for(let name of Object.keys(methods)){
+            this.register(name, methods[name]);
+        }
+    }
+
+    register(name, meta = {}){
+        this.methods[name] = Object.assign({name}, DEFAULTS, meta);
+
+        return this.methods[name];
+    }
+
+    has(name){
+        return this.methods.hasOwnProperty(name);
+    }
+
+    // Methods we don't know about are assumed to be regular tier 3 POSTs
+    get(name){
+        return (this.has(name)) ? this.methods[name] : Object.assign({name}, DEFAULTS);
+    }
+
+    names(){
+        return Object.keys(this.methods);
+    }
+
+    getTier(name){
+        return this.get(name).tier;
+    }
+
+    // Returns the required arguments missing from args. Each one is
+    // either a name, or an array of names when any of them will do.
+    getMissingArguments(name, args = {}){
+        return this.get(name).required.filter((required)=>{
+            const options = (Array.isArray(required)) ? required : [required];
+
+            return !options.some((arg)=> args[arg] != null);
+        });
+    }
+}
+
+MethodRegistry.DEFAULTS = DEFAULTS;
+
+module.exports = MethodRegistry;
\ No newline at end of file
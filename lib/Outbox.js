@@ -0,0 +1,188 @@
+const EventEmitter = require('events');
+const crypto       = require('crypto');
+
+const { SlackArgumentError } = require('./SlackError');
+const { MemoryOutboxStore }  = require('./outboxStores');
+
+// Messages waiting to be posted, kept in a store (see outboxStores)
+// until they're delivered so a failed send or a restart doesn't lose
+// them. Each channel gets its messages in the order they were queued,
+// so one waiting to be retried holds up the ones behind it.
+//
+// Errors that retrying won't fix (channel_not_found, missing
+// arguments, etc.) fail the message straight away. A long message
+// that failed partway is retried from the first part that wasn't
+// posted, using the error's timestamps.
+class Outbox extends EventEmitter{
+    constructor(send, options = {}){
+        super();
+        this.send          = send;
+        this.store         = options.store || new MemoryOutboxStore();
+        this.maxAttempts   = options.maxAttempts || 10;
+        this.retryDelay    = options.retryDelay || 5*1000;
+        this.maxRetryDelay = options.maxRetryDelay || 5*60*1000;
+
+        // Entries by channel, the first is the one being sent
+        this.channels = new Map();
+        this.sending  = new Set();
+        this.timers   = new Map();
+        this.loaded   = null;
+        this.stopped  = false;
+    }
+
+    get size(){
+        let total = 0;
+
+        for(let entries of this.channels.values()){
+            total += entries.length;
+        }
+
+        return total;
+    }
+
+    // Picks up whatever was left in the store, e.g. before a restart.
+    // push does this first too, so those are sent before anything new.
+    load(){
+        if(!this.loaded){
+            this.loaded = this.store.load().then((entries = [])=>{
+                entries.sort((a, b)=> a.queuedAt - b.queuedAt);
+
+                for(let entry of entries){
+                    this.enqueue(entry);
+                }
+            }, (err)=>{
+                this.loaded = null;
+                throw err;
+            });
+        }
+
+        return this.loaded;
+    }
+
+    // Resolves with the entry once it's in the store, whether it's been
+    // delivered is told by the delivered and failed events.
+    push(args = {}, options = {}){
+        if(!args.channel){
+            return Promise.reject(new SlackArgumentError('chat.postMessage', ['channel']));
+        }
+
+        const entry = {
+            id       : `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+            channel  : args.channel,
+            args     : Object.assign({}, args),
+            options,
+            attempts : 0,
+            queuedAt : Date.now()
+        };
+
+        // Whoever sends it adds their own
+        delete entry.args.token;
+
+        return this.load().then(()=> this.store.save(entry)).then(()=>{
+            this.enqueue(entry);
+            this.emit('queued', entry);
+
+            return entry;
+        });
+    }
+
+    enqueue(entry){
+        if(!this.channels.has(entry.channel)){
+            this.channels.set(entry.channel, []);
+        }
+
+        this.channels.get(entry.channel).push(entry);
+
+        this.process(entry.channel);
+    }
+
+    process(channel){
+        const entries = this.channels.get(channel);
+
+        if(this.stopped || !entries || this.sending.has(channel) || this.timers.has(channel)){
+            return;
+        }
+
+        if(!entries.length){
+            this.channels.delete(channel);
+
+            if(this.size === 0){
+                this.emit('drain');
+            }
+
+            return;
+        }
+
+        const entry = entries[0];
+
+        entry.attempts++;
+        this.sending.add(channel);
+
+        Promise.resolve().then(()=> this.send(entry)).then((res)=>{
+            this.sending.delete(channel);
+            this.finish(entry);
+
+            this.emit('delivered', entry, res);
+            this.process(channel);
+        }, (error)=>{
+            this.sending.delete(channel);
+
+            if(Array.isArray(error.timestamps) && error.timestamps.length){
+                entry.timestamps = error.timestamps;
+            }
+
+            if(error.retryable && entry.attempts < this.maxAttempts){
+                return this.retry(entry, error);
+            }
+
+            this.finish(entry);
+
+            this.emit('failed', entry, error);
+            this.process(channel);
+        });
+    }
+
+    retry(entry, error){
+        const delay = Math.min(this.retryDelay * Math.pow(2, entry.attempts - 1), this.maxRetryDelay);
+
+        // So a restart doesn't start counting attempts again
+        this.store.save(entry).catch((e)=> this.emit('storeError', e));
+
+        this.emit('retry', entry, delay, error);
+
+        this.timers.set(entry.channel, setTimeout(()=>{
+            this.timers.delete(entry.channel);
+            this.process(entry.channel);
+        }, delay));
+    }
+
+    finish(entry){
+        this.channels.get(entry.channel).shift();
+
+        this.store.delete(entry.id).catch((e)=> this.emit('storeError', e));
+    }
+
+    // Stops sending (anything already being sent still finishes), what
+    // hasn't been sent stays in the store
+    stop(){
+        this.stopped = true;
+
+        for(let timer of this.timers.values()){
+            clearTimeout(timer);
+        }
+
+        this.timers.clear();
+    }
+
+    start(){
+        this.stopped = false;
+
+        for(let channel of Array.from(this.channels.keys())){
+            this.process(channel);
+        }
+
+        return this.load();
+    }
+}
+
+module.exports = Outbox;
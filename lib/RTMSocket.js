@@ -0,0 +1,132 @@
+const EventEmitter  = require('events');
+const clientOptions = require('./clientOptions');
+
+const { client: WebSocketClient } = require('websocket');
+
+// A plain JSON websocket. Unlike frozor-websocket it never reconnects
+// on its own, since SlackRTM needs a fresh url from Slack to do that.
+class RTMSocket extends EventEmitter{
+    constructor(options = {}){
+        super();
+        this.options        = options;
+        this.log            = options.log || clientOptions.createLogger({}, options.prefix || 'RTM', 'websocket');
+        this.name           = options.name || 'RTM';
+        this.connectTimeout = options.connectTimeout || clientOptions.DEFAULT_TIMEOUT;
+        this.client         = null;
+        this.connection     = null;
+        this.isConnected    = false;
+    }
+
+    connect(url){
+        this.close();
+
+        const client = new WebSocketClient();
+        this.client  = client;
+
+        this.log.info(`Connecting to ${this.name}...`);
+
+        // Nothing else gives up on a connection that never answers
+        const timer = setTimeout(()=>{
+            if(this.client !== client) return;
+
+            this.log.warn(`Connecting to ${this.name} timed out.`);
+
+            this.client = null;
+            client.abort();
+
+            this.emit('connectFailed', new Error(`Connecting timed out after ${this.connectTimeout}ms`));
+        }, this.connectTimeout);
+
+        client.on('connect', (connection)=>{
+            clearTimeout(timer);
+
+            // close() was called (or a newer connect) while this one was pending
+            if(this.client !== client){
+                return connection.drop();
+            }
+
+            this.connection  = connection;
+            this.isConnected = true;
+
+            this.log.info(`Connected to ${this.name}!`);
+
+            this.emit('connected');
+
+            connection.on('message', (message)=>{
+                if(message.type !== 'utf8') return;
+
+                let data;
+
+                try{
+                    data = JSON.parse(message.utf8Data);
+                }catch(e){
+                    return this.log.warn(`Got a message that isn't JSON from ${this.name}`);
+                }
+
+                this.emit('message', data);
+            });
+
+            connection.on('error', (error)=>{
+                if(this.connection !== connection) return;
+
+                this.log.error(`Error in connection to ${this.name}: ${error}`);
+
+                this.emit('error', error);
+            });
+
+            connection.on('close', (code, description)=>{
+                if(this.connection !== connection) return;
+
+                this.log.warn(`Connection to ${this.name} closed.`);
+
+                this.client      = null;
+                this.connection  = null;
+                this.isConnected = false;
+
+                this.emit('close', code, description);
+            });
+        });
+
+        client.on('connectFailed', (error)=>{
+            clearTimeout(timer);
+
+            if(this.client !== client) return;
+
+            this.log.warn(`Unable to connect to the ${this.name} socket.`);
+
+            this.client = null;
+
+            this.emit('connectFailed', error);
+        });
+
+        const headers = {'User-Agent': this.options.userAgent || clientOptions.DEFAULT_USER_AGENT};
+
+        // An agent is the only way to send the socket through a proxy
+        client.connect(url, null, null, headers, (this.options.agent) ? {agent: this.options.agent} : undefined);
+    }
+
+    // Closes the socket without emitting 'close', since it was on purpose
+    close(){
+        const connection = this.connection;
+
+        this.client      = null;
+        this.connection  = null;
+        this.isConnected = false;
+
+        if(connection){
+            connection.drop();
+        }
+    }
+
+    sendJSON(json){
+        if(!this.connection){
+            return false;
+        }
+
+        this.connection.sendUTF(JSON.stringify(json));
+
+        return true;
+    }
+}
+
+module.exports = RTMSocket;
\ No newline at end of file
@@ -0,0 +1,174 @@
+const EventEmitter = require('events');
+const config       = require('../config/');
+
+const MethodRegistry = require('./MethodRegistry');
+
+const WINDOW = 60*1000;
+
+class RequestQueue extends EventEmitter{
+    constructor(send, options = {}){
+        super();
+        this.send          = send;
+        this.maxRetries    = (options.maxRetries != null) ? options.maxRetries : 3;
+        this.retryDelay    = options.retryDelay || 1000;
+        this.maxRetryDelay = options.maxRetryDelay || 30*1000;
+        this.registry      = options.registry || new MethodRegistry();
+        this.limits        = Object.assign({}, config.tiers.limits, options.limits);
+        this.buckets       = {};
+    }
+
+    // Slack counts its limits per method rather than across a tier, and
+    // chat.postMessage per channel, so each of those gets a bucket.
+    getBucketKey(method, args, meta){
+        return (meta.tier === 'special' && args.channel) ? `${method}:${args.channel}` : method;
+    }
+
+    getBucket(key, tier){
+        if(!this.buckets.hasOwnProperty(key)){
+            this.buckets[key] = {
+                tier        : tier,
+                queue       : [],
+                sent        : [],
+                waiting     : 0,
+                inFlight    : 0,
+                pausedUntil : 0,
+                timer       : null
+            };
+        }
+
+        return this.buckets[key];
+    }
+
+    // Number of requests that have not settled yet, optionally
+    // limited to a single rate limit tier.
+    depth(tier){
+        let total = 0;
+
+        for(let key of Object.keys(this.buckets)){
+            const bucket = this.buckets[key];
+
+            if(tier != null && String(bucket.tier) !== String(tier)) continue;
+
+            total += bucket.queue.length + bucket.waiting + bucket.inFlight;
+        }
+
+        return total;
+    }
+
+    get size(){
+        return this.depth();
+    }
+
+    push(method, args = {}){
+        const meta = this.registry.get(method);
+        const tier = meta.tier;
+        const key  = this.getBucketKey(method, args, meta);
+
+        return new Promise((resolve, reject)=>{
+            this.getBucket(key, tier).queue.push({method, args, meta, tier, key, attempt: 0, resolve, reject});
+
+            this.emit('queued', method, this.size);
+
+            this.process(key);
+        });
+    }
+
+    process(key){
+        const bucket = this.buckets[key];
+        const limit  = this.limits[bucket.tier];
+
+        if(bucket.timer){
+            return;
+        }
+
+        while(bucket.queue.length){
+            const now = Date.now();
+            bucket.sent = bucket.sent.filter((time)=> now - time < WINDOW);
+
+            let delay = 0;
+
+            if(bucket.pausedUntil > now){
+                delay = bucket.pausedUntil - now;
+            }else if(bucket.sent.length >= limit){
+                delay = bucket.sent[0] + WINDOW - now;
+            }
+
+            if(delay > 0){
+                bucket.timer = setTimeout(()=>{
+                    bucket.timer = null;
+                    this.process(key);
+                }, delay);
+                return;
+            }
+
+            bucket.sent.push(now);
+            this.dispatch(bucket.queue.shift());
+        }
+    }
+
+    dispatch(job){
+        const bucket = this.buckets[job.key];
+        bucket.inFlight++;
+
+        this.send(job.method, job.args, job.meta).then((body)=>{
+            bucket.inFlight--;
+
+            this.settle(job, null, body);
+        }, (err)=>{
+            bucket.inFlight--;
+
+            if(!err.retryable){
+                return this.settle(job, err);
+            }
+
+            if(err.retryAfter != null){
+                bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + err.retryAfter);
+
+                this.emit('rateLimited', job.method, err.retryAfter, job.tier);
+
+                // The bucket is paused now, so the retry waits for it anyway
+                return this.retry(job, 0, err);
+            }
+
+            this.retry(job, this.getBackoff(job.attempt), err);
+        });
+    }
+
+    getBackoff(attempt){
+        return Math.min(this.retryDelay * Math.pow(2, attempt), this.maxRetryDelay);
+    }
+
+    retry(job, delay, error){
+        if(job.attempt >= this.maxRetries){
+            return this.settle(job, error);
+        }
+
+        job.attempt++;
+
+        const bucket = this.buckets[job.key];
+        bucket.waiting++;
+
+        this.emit('retry', job.method, job.attempt, delay, error);
+
+        setTimeout(()=>{
+            bucket.waiting--;
+            bucket.queue.unshift(job);
+            this.process(job.key);
+        }, delay);
+    }
+
+    settle(job, error, result){
+        if(error != null){
+            error.attempts = job.attempt + 1;
+            job.reject(error);
+        }else{
+            job.resolve(result);
+        }
+
+        if(this.size === 0){
+            this.emit('drain');
+        }
+    }
+}
+
+module.exports = RequestQueue;
\ No newline at end of file
@@ -1,8 +1,39 @@
-const EventEmitter = require('events');
-const deepEquals   = require('deep-equal');
-const config       = require('../config/');
-const slackRequest = require('./slackRequest');
-const SlackRTM     = require('./SlackRTM');
+const EventEmitter  = require('events');
+const slackRequest  = require('./slackRequest');
+const SlackRTM      = require('./SlackRTM');
+const paginate      = require('./paginate');
+const formatting    = require('./formatting');
+const clientOptions = require('./clientOptions');
+const cacheReducer  = require('./cacheReducer');
+
+const MethodRegistry    = require('./MethodRegistry');
+const MessagePipeline   = require('./MessagePipeline');
+const Outbox            = require('./Outbox');
+const EventReceiver     = require('./EventReceiver');
+const InteractionRouter = require('./InteractionRouter');
+
+const { SlackArgumentError } = require('./SlackError');
+const { MemoryCacheAdapter } = require('./cacheAdapters');
+
+// How long cached objects are trusted before they're looked up again.
+// Events keep the cache fresh while the bot is connected, so this
+// mostly matters for caches loaded back from an adapter.
+const DEFAULT_CACHE_TTL = {
+    default : 24*60*60*1000,
+    self    : Infinity,
+    team    : Infinity
+};
+
+// chat.postMessage text longer than this is split into several messages
+const MAX_MESSAGE_LENGTH = 3000;
+
+// Collections that hold a single object instead of objects by id
+const SINGLETON_STORAGE = ['self', 'team'];
+
+// Helpers take a message as text, or as chat.postMessage style args
+function toMessageArgs(channel, message){
+    return Object.assign({}, (typeof message === 'string') ? {text: message} : message, {channel});
+}
 
 function SlackObject(name, id){
     this.name = name;
@@ -10,12 +41,37 @@ function SlackObject(name, id){
 }
 
 class SlackAPI extends EventEmitter{
-    constructor(token, prefix){
+    constructor(token, prefix, options = {}){
         super();
         this.token   = token;
         this.prefix  = prefix;
 
-        this.cache   = {};
+        // Base url, timeouts, agent/proxy, user agent and logger for everything sent to Slack
+        this.requestOptions = clientOptions.resolveRequestOptions(options, prefix || 'SLACK');
+        this.log            = this.requestOptions.logger;
+
+        this.cache        = {};
+        this.cacheAdapter = options.cache || new MemoryCacheAdapter();
+        this.cacheTTL     = Object.assign({}, DEFAULT_CACHE_TTL, options.cacheTTL);
+        this.registry     = new MethodRegistry();
+        this.queue        = slackRequest.createQueue(Object.assign({registry: this.registry, request: this.requestOptions}, options.queue));
+
+        // Deprecated methods we've already warned about
+        this.deprecationWarnings = new Set();
+
+        this.queue.on('queued', (method, size)=> this.emit('requestQueued', method, size));
+        this.queue.on('rateLimited', (method, retryAfter, tier)=> this.emit('rateLimited', method, retryAfter, tier));
+        this.queue.on('retry', (method, attempt, delay, error)=> this.emit('requestRetry', method, attempt, delay, error));
+        this.queue.on('drain', ()=> this.emit('queueDrain'));
+
+        // Messages from queueMessage, kept until they're delivered
+        this.outbox = new Outbox((entry)=> this.methods.chat.postMessage(entry.args, Object.assign({}, entry.options, {timestamps: entry.timestamps})), options.outbox);
+
+        this.outbox.on('queued', (entry)=> this.emit('messageQueued', entry));
+        this.outbox.on('delivered', (entry, res)=> this.emit('messageDelivered', entry, res));
+        this.outbox.on('retry', (entry, delay, error)=> this.emit('messageRetry', entry, delay, error));
+        this.outbox.on('failed', (entry, error)=> this.emit('messageFailed', entry, error));
+        this.outbox.on('storeError', (error)=> this.emit('outboxError', error));
 
         const doesStorageExist = (name)=>{
             return this.cache.hasOwnProperty(name);
@@ -27,31 +83,111 @@ class SlackAPI extends EventEmitter{
             }
         }
 
-        const getIdBasedObjectStorage = (storageName)=>{
-            const storagePlural = `${storageName}s`;
+        // collection -> id -> when it was saved, to check against its TTL
+        const savedTimes = {};
+
+        // Storage names that have been filled by a full list (and when),
+        // rather than just whatever has been looked up or saved so far.
+        const loadedStorage = {};
+
+        // Lookups that are in flight, so asking for the same thing
+        // twice at once only makes one request.
+        const pendingLookups = new Map();
+
+        const getTTL = (collection)=>{
+            return (this.cacheTTL.hasOwnProperty(collection)) ? this.cacheTTL[collection] : this.cacheTTL.default;
+        };
+
+        const isFresh = (collection, id)=>{
+            const savedAt = (savedTimes[collection] || {})[id];
+
+            return savedAt != null && Date.now() - savedAt < getTTL(collection);
+        };
+
+        const isLoaded = (name, collection = name)=>{
+            return loadedStorage.hasOwnProperty(name) && Date.now() - loadedStorage[name] < getTTL(collection);
+        };
+
+        // Adapters that batch writes give every change in a batch the
+        // same promise, which only needs reporting once
+        const persisting = new WeakSet();
+
+        // The in-memory cache is what gets used, so a failed write
+        // to the adapter is reported but doesn't fail anything.
+        const persist = (promise)=>{
+            if(persisting.has(promise)) return;
+
+            persisting.add(promise);
+            promise.catch((e)=> this.emit('cacheError', e));
+        };
+
+        const writeCache = (collection, id, value)=>{
+            const savedAt = Date.now();
+
+            if(!savedTimes[collection]) savedTimes[collection] = {};
+            savedTimes[collection][id] = savedAt;
+
+            persist(this.cacheAdapter.set(collection, id, value, savedAt));
+        };
+
+        const deleteCache = (collection, id)=>{
+            if(savedTimes[collection]) delete savedTimes[collection][id];
+
+            persist(this.cacheAdapter.delete(collection, id));
+        };
+
+        const clearCache = (collection)=>{
+            this.cache[collection]  = {};
+            savedTimes[collection]  = {};
+
+            persist(this.cacheAdapter.clear(collection));
+        };
+
+        const setLoaded = (name, loaded)=>{
+            if(loaded){
+                loadedStorage[name] = Date.now();
+                persist(this.cacheAdapter.set('_loaded', name, loadedStorage[name], loadedStorage[name]));
+            }else{
+                delete loadedStorage[name];
+                persist(this.cacheAdapter.delete('_loaded', name));
+            }
+        };
+
+        const coalesce = (key, lookup)=>{
+            if(pendingLookups.has(key)){
+                return pendingLookups.get(key);
+            }
+
+            const promise = Promise.resolve().then(lookup).finally(()=> pendingLookups.delete(key));
+
+            pendingLookups.set(key, promise);
+
+            return promise;
+        };
+
+        // storageName is both the argument given to the info method and
+        // the key its result is under, e.g. users.info({user}) -> res.user
+        const getIdBasedObjectStorage = (storageName, options = {})=>{
+            const storagePlural = options.plural || `${storageName}s`;
+            const infoMethod    = options.info || `${storagePlural}.info`;
+            const listMethod    = (options.list !== undefined) ? options.list : `${storagePlural}.list`;
 
             return {
                 create: () => {
                     createStorageIfNotExists(storagePlural);
                 },
                 get: (id) => {
-                    return new Promise((resolve, reject)=>{
-                        this.storage[storagePlural].create();
-
-                        if (this.cache[storagePlural].hasOwnProperty(id)){
-                            return resolve(this.cache[storagePlural][id]);
-                        }
+                    this.storage[storagePlural].create();
 
-                        this.methods[storagePlural].info({ [storageName]: id }, (err, res) => {
-                            if (err){
-                                return reject(err);
-                            }
+                    if (this.cache[storagePlural].hasOwnProperty(id) && isFresh(storagePlural, id)){
+                        return Promise.resolve(this.cache[storagePlural][id]);
+                    }
 
-                            this.storage[storagePlural].save(res[storageName]);
+                    return coalesce(`${storagePlural}:${id}`, ()=> this.getMethod(infoMethod)({ [storageName]: id }).then((res)=>{
+                        this.storage[storagePlural].save(res[storageName]);
 
-                            resolve(this.cache[storagePlural][res[storageName].id]);
-                        });
-                    });
+                        return this.cache[storagePlural][res[storageName].id];
+                    }));
                 },
                 findInCache: (predicate)=>{
                     this.storage[storagePlural].create();
@@ -75,138 +211,372 @@ class SlackAPI extends EventEmitter{
                     this.storage[storagePlural].create();
 
                     this.cache[storagePlural][idObj.id] = idObj;
+                    writeCache(storagePlural, idObj.id, idObj);
+
+                    return this.storage[storagePlural];
+                },
+                remove: (id) => {
+                    this.storage[storagePlural].create();
+
+                    delete this.cache[storagePlural][id];
+                    deleteCache(storagePlural, id);
 
                     return this.storage[storagePlural];
                 },
+                // Replaces everything in the storage, since anything
+                // missing from a full list doesn't exist anymore.
+                saveAll: (idObjs) => {
+                    clearCache(storagePlural);
+
+                    for (let idObj of idObjs) {
+                        this.storage[storagePlural].save(idObj);
+                    }
+
+                    setLoaded(storagePlural, true);
+
+                    return this.storage[storagePlural];
+                },
+                // Some things (like bots) can't be listed, so all()
+                // only has what's been looked up for those.
                 all: () => {
-                    return new Promise((resolve, reject)=>{
-                        this.storage[storagePlural].create();
+                    this.storage[storagePlural].create();
 
-                        if (this.cache.hasOwnProperty(storagePlural)){
-                            return resolve(this.cache[storagePlural]);
+                    if (isLoaded(storagePlural) || !listMethod){
+                        return Promise.resolve(this.cache[storagePlural]);
+                    }
+
+                    return coalesce(`${storagePlural}:all`, ()=> this.methods.collect(listMethod, options.listArgs).then((idObjs)=>{
+                        this.storage[storagePlural].saveAll(idObjs);
+
+                        return this.cache[storagePlural];
+                    }));
+                },
+                // Forgets one object, or the whole collection if no id is
+                // given, so it'll be looked up again next time.
+                invalidate: (id) => {
+                    if (id == null) {
+                        clearCache(storagePlural);
+                        setLoaded(storagePlural, false);
+                    } else {
+                        this.storage[storagePlural].remove(id);
+                    }
+
+                    return this.storage[storagePlural];
+                },
+                refresh: (id) => {
+                    this.storage[storagePlural].invalidate(id);
+
+                    return (id == null) ? this.storage[storagePlural].all() : this.storage[storagePlural].get(id);
+                }
+            }
+        };
+
+        const conversationTypes = {
+            channels : {types: 'public_channel',  is: (c)=> !c.is_im && !c.is_mpim && !c.is_private && !c.is_group},
+            groups   : {types: 'private_channel', is: (c)=> !c.is_im && !c.is_mpim && !!(c.is_private || c.is_group)},
+            ims      : {types: 'im',              is: (c)=> !!c.is_im},
+            mpims    : {types: 'mpim',            is: (c)=> !!c.is_mpim}
+        };
+
+        const stripName = (name)=> name.replace(/^#/, '');
+
+        // Channels, groups, ims and mpims are all conversations, so
+        // they're kept together in cache.conversations and each one
+        // of these is just a view of the conversations of its type.
+        const getConversationStorage = (viewName)=>{
+            const {types, is} = conversationTypes[viewName];
+
+            const getCached = ()=>{
+                const cached = {};
+
+                this.storage.conversations.create();
+
+                for(let id of Object.keys(this.cache.conversations)){
+                    if(is(this.cache.conversations[id])){
+                        cached[id] = this.cache.conversations[id];
+                    }
+                }
+
+                return cached;
+            };
+
+            return {
+                get: (id)=> this.storage.conversations.get(id),
+                findInCache: (predicate)=> this.storage.conversations.findInCache((c)=> is(c) && predicate(c)),
+                getByName: (name)=> this.storage.conversations.getByName(name, viewName),
+                save: (conversation)=>{
+                    this.storage.conversations.save(conversation);
+
+                    return this.storage[viewName];
+                },
+                remove: (id)=>{
+                    this.storage.conversations.remove(id);
+
+                    return this.storage[viewName];
+                },
+                saveAll: (conversations)=>{
+                    for(let id of Object.keys(getCached())){
+                        this.storage.conversations.remove(id);
+                    }
+
+                    for(let conversation of conversations){
+                        this.storage.conversations.save(conversation);
+                    }
+
+                    setLoaded(viewName, true);
+
+                    return this.storage[viewName];
+                },
+                all: ()=>{
+                    if(isLoaded(viewName, 'conversations') || isLoaded('conversations')){
+                        return Promise.resolve(getCached());
+                    }
+
+                    return coalesce(`conversations:${viewName}`, ()=> this.methods.collect('conversations.list', {types}).then((conversations)=>{
+                        this.storage[viewName].saveAll(conversations);
+
+                        return getCached();
+                    }));
+                },
+                invalidate: (id)=>{
+                    if(id == null){
+                        for(let cachedId of Object.keys(getCached())){
+                            this.storage.conversations.remove(cachedId);
                         }
 
-                        this.methods[storagePlural].list((err, res) => {
-                            if (err){
-                                return reject(err);
-                            }
+                        setLoaded(viewName, false);
+                        setLoaded('conversations', false);
+                    }else{
+                        this.storage.conversations.invalidate(id);
+                    }
 
-                            for (let idObj of res) {
-                                this.storage[storagePlural].save(idObj);
-                            }
+                    return this.storage[viewName];
+                },
+                refresh: (id)=>{
+                    this.storage[viewName].invalidate(id);
 
-                            resolve(this.cache[storagePlural]);
-                        });
-                    });
+                    return (id == null) ? this.storage[viewName].all() : this.storage[viewName].get(id);
                 }
+            };
+        };
+
+        const conversations = getIdBasedObjectStorage('channel', {
+            plural   : 'conversations',
+            info     : 'conversations.info',
+            list     : 'conversations.list',
+            listArgs : {types: 'public_channel,private_channel,mpim,im'}
+        });
+
+        // Looks a conversation up by name (with or without the #),
+        // optionally only among one type of conversation.
+        conversations.getByName = (name, viewName)=>{
+            const storage   = this.storage[viewName || 'conversations'];
+            const predicate = (c)=> c.name === stripName(name);
+            const cached    = storage.findInCache(predicate);
+
+            if(cached){
+                return Promise.resolve(cached);
             }
+
+            return storage.all().then(()=> storage.findInCache(predicate));
+        };
+
+        // Member lists aren't part of conversations.list, so they're
+        // loaded separately and kept up to date by join/leave events.
+        conversations.members = (id)=>{
+            return this.storage.conversations.get(id).then((conversation)=>{
+                if(Array.isArray(conversation.members)){
+                    return conversation.members;
+                }
+
+                return coalesce(`conversations:${id}:members`, ()=> this.methods.collect('conversations.members', {channel: id}).then((members)=>{
+                    this.storage.conversations.save(Object.assign({}, conversation, {members}));
+
+                    return members;
+                }));
+            });
+        };
+
+        conversations.isMember = (id, user)=>{
+            return this.storage.conversations.members(id).then((members)=> members.includes(user));
+        };
+
+        const ims = getConversationStorage('ims');
+
+        // Resolves with the DM with a user, opening one if there isn't one yet
+        ims.forUser = (user)=>{
+            const cached = ims.findInCache((im)=> im.user === user);
+
+            if(cached){
+                return Promise.resolve(cached);
+            }
+
+            return this.methods.conversations.open({users: user, return_im: true}).then((res)=>{
+                const im = Object.assign({is_im: true, user}, res.channel);
+
+                this.storage.conversations.save(im);
+
+                return im;
+            });
         };
 
         this.storage = {
             self: {
                 get:()=>{
-                    return new Promise((resolve, reject)=>{
-                        if(this.cache.hasOwnProperty('self')){
-                            return resolve(this.cache.self);
-                        }
-
-                        this.methods.auth.test((err)=>{
-                            if(err){
-                                return reject(err);
-                            }
+                    if(this.cache.hasOwnProperty('self') && isFresh('self', 'self')){
+                        return Promise.resolve(this.cache.self);
+                    }
 
-                            resolve(this.cache.self);
-                        });
-                    });
+                    return coalesce('auth.test', ()=> this.methods.auth.test()).then(()=> this.cache.self);
                 },
                 save: (user)=>{
                     this.cache.self = user;
+                    writeCache('self', 'self', user);
 
                     return this.self;
                 }
             },
             team: {
                 get:()=>{
-                    return new Promise((resolve, reject)=>{
-                        if(this.cache.hasOwnProperty('team')){
-                            return resolve(this.cache.team);
-                        }
-
-                        this.methods.auth.test((err)=>{
-                            if(err){
-                                return reject(err);
-                            }
+                    if(this.cache.hasOwnProperty('team') && isFresh('team', 'team')){
+                        return Promise.resolve(this.cache.team);
+                    }
 
-                            resolve(this.cache.team);
-                        });
-                    });
+                    return coalesce('auth.test', ()=> this.methods.auth.test()).then(()=> this.cache.team);
                 },
                 save: (team)=>{
                     this.cache.team = team;
+                    writeCache('team', 'team', team);
 
                     return this.team;
                 }
             },
-            users    : getIdBasedObjectStorage('user'),
-            channels : getIdBasedObjectStorage('channel'),
-            groups   : getIdBasedObjectStorage('group')
-        };
+            users         : getIdBasedObjectStorage('user'),
+            bots          : getIdBasedObjectStorage('bot', {list: null}),
+            conversations : conversations,
+            channels      : getConversationStorage('channels'),
+            groups        : getConversationStorage('groups'),
+            ims           : ims,
+            mpims         : getConversationStorage('mpims'),
+            emoji         : {
+                get: (name)=>{
+                    return this.storage.emoji.all().then((emoji)=> emoji[name]);
+                },
+                save: (name, value)=>{
+                    createStorageIfNotExists('emoji');
 
-        this.rtm     = new SlackRTM(token, this.prefix);
-        this.methods = {};
+                    this.cache.emoji[name] = value;
+                    writeCache('emoji', name, value);
 
-        this.rtm.on('event', (type, data)=>{
-            this.emit(type, data);
-            this.emit('event', type, data);
-        });
+                    return this.storage.emoji;
+                },
+                remove: (name)=>{
+                    createStorageIfNotExists('emoji');
 
-        this.rtm.on('orgData', (data)=>{
-            this.storage.self.save(data.self);
-            this.storage.team.save(data.team);
+                    delete this.cache.emoji[name];
+                    deleteCache('emoji', name);
 
-            for(let user of data.users){
-                this.storage.users.save(user);
-            }
+                    return this.storage.emoji;
+                },
+                all: ()=>{
+                    if(isLoaded('emoji')){
+                        return Promise.resolve(this.cache.emoji);
+                    }
 
-            for(let channel of data.channels){
-                this.storage.channels.save(channel);
-            }
+                    return coalesce('emoji:all', ()=> this.methods.emoji.list().then((res)=>{
+                        clearCache('emoji');
 
-            for(let group of data.groups){
-                this.storage.groups.save(group);
-            }
+                        for(let name of Object.keys(res.emoji || {})){
+                            this.storage.emoji.save(name, res.emoji[name]);
+                        }
 
-            this.emit('orgData', data);
-        });
+                        setLoaded('emoji', true);
 
-        this.on('team_join', (data)=>{
-            this.storage.users.save(data.user);
-        });
-        this.on('channel_created', (data)=>{
-            this.storage.channels.save(data.channel);
-        });
-        this.on('group_joined', (data)=>{
-            this.storage.groups.save(data.channel);
-        });
+                        return this.cache.emoji;
+                    }));
+                },
+                invalidate: ()=>{
+                    clearCache('emoji');
+                    setLoaded('emoji', false);
 
-        this.on('user_change', (data)=>{
-            const cached = this.cache.users[data.user.id];
-            if(!deepEquals(data.user.profile, cached.profile)){
-                this.emit('profile_change', data.user, cached);
+                    return this.storage.emoji;
+                },
+                refresh: ()=>{
+                    this.storage.emoji.invalidate();
+
+                    return this.storage.emoji.all();
+                }
+            },
+            // Fills the cache back up from the cache adapter, e.g. after a restart
+            load: ()=>{
+                return this.cacheAdapter.load().then((entries)=>{
+                    for(let {collection, id, value, savedAt} of entries){
+                        if(collection === '_loaded'){
+                            loadedStorage[id] = value;
+                            continue;
+                        }
+
+                        if(SINGLETON_STORAGE.includes(collection)){
+                            this.cache[collection] = value;
+                        }else{
+                            createStorageIfNotExists(collection);
+                            this.cache[collection][id] = value;
+                        }
+
+                        if(!savedTimes[collection]) savedTimes[collection] = {};
+                        savedTimes[collection][id] = savedAt;
+                    }
+
+                    return this.cache;
+                });
             }
+        };
+
+        this.rtm      = new SlackRTM(token, this.prefix, this.queue, Object.assign({
+            logger    : options.logger,
+            logLevel  : options.logLevel,
+            agent     : options.agent,
+            proxy     : options.proxy,
+            userAgent : options.userAgent,
+            timeout   : this.requestOptions.timeout.default
+        }, options.rtm));
+        this.methods  = {};
+        this.messages = new MessagePipeline(this);
+
+        this.rtm.on('event', (type, data)=> this.emitEvent(type, data));
 
-            this.storage.users.save(data.user);
+        this.rtm.on('orgData', (data)=>{
+            this.storage.self.save(data.self);
+            this.storage.team.save(data.team);
+
+            this.storage.users.saveAll(data.users || []);
+            this.storage.bots.saveAll(data.bots || []);
+            this.storage.conversations.saveAll([].concat(data.channels || [], data.groups || [], data.ims || [], data.mpims || []));
+
+            this.emit('orgData', data);
         });
 
-        // TODO: Implement 'goodbye' handling
+        // Registered before anyone else can listen, so the cache is
+        // already up to date by the time their listeners are called.
+        for(let type of Object.keys(cacheReducer)){
+            this.on(type, (data)=> cacheReducer[type](this, data));
+        }
 
         this.rtm.on('requestFail', (err)=> this.emit('rtmFail', err));
+        this.rtm.on('reconnecting', (attempt, delay, reason)=> this.emit('rtmReconnecting', attempt, delay, reason));
+        this.rtm.on('reconnected', ()=> this.emit('rtmReconnected'));
 
         this.rtm.socket.on('close', (code, desc)=> this.emit('rtmClose', code, desc));
         this.rtm.socket.on('connectFailed', ()=> this.emit('rtmConnectFailed'));
-        this.rtm.socket.on('error', (error)=> this.emit('rtmError', error));
+        this.rtm.on('socketError', (error)=> this.emit('rtmError', error));
+
+        // Adds a method to this bot's registry (or just builds it, if
+        // it's already there) and makes it callable from bot.methods.
+        this.methods.register = (methodName, meta)=>{
+            if(meta || !this.registry.has(methodName)){
+                this.registry.register(methodName, meta);
+            }
 
-        for(let methodName of config.methods){
             let method = methodName.split('.');
             let apiObj = this.methods;
 
@@ -214,67 +584,207 @@ class SlackAPI extends EventEmitter{
                 if(!apiObj[method[i]]) apiObj[method[i]] = {};
 
                 if(i === method.length-1){
-                    apiObj[method[i]] = (args = {})=>{
-                        args.token = this.token;
-
-                        return slackRequest.makeRequest(methodName, args);
-                    };
+                    apiObj[method[i]] = (args = {})=> this.callMethod(methodName, args);
                     break;
                 }else apiObj = apiObj[method[i]];
             }
-        }
 
-        this.methods.auth.test = (args = {})=>{
-            return new Promise((resolve, reject)=>{
-                args.token = this.token;
+            return this.registry.get(methodName);
+        };
 
-                slackRequest.makeRequest('auth.test', args).then((auth)=>{
-                    if(!this.cache.hasOwnProperty('self')) this.storage.self.save(new SlackObject(auth.user, auth.user_id));
-                    if(!this.cache.hasOwnProperty('team')) this.storage.team.save(new SlackObject(auth.team, auth.team_id));
+        for(let methodName of this.registry.names()){
+            this.methods.register(methodName);
+        }
 
-                    resolve(auth);
-                }).catch(reject)
-            });
+        // Slack recommends asking for 200 at a time from cursor methods
+        const getPageArgs = (methodName, args)=>{
+            if(this.registry.get(methodName).paginated === 'cursor' && args.limit == null){
+                return Object.assign({limit: 200}, args);
+            }
+
+            return args;
         };
 
-        this.methods.chat.postMessage = async (args = {})=>{
-            if(!args.text && args.text !== '') throw new Error('Text is required in chat.postMessage');
+        // Iterates over every page of a paginated method, e.g.
+        // for await (let page of bot.methods.paginate('users.list')) {...}
+        this.methods.paginate = (methodName, args = {})=>{
+            return paginate.paginate((pageArgs)=> this.getMethod(methodName)(pageArgs), getPageArgs(methodName, args));
+        };
 
-            args.token = this.token;
+        // Resolves with the results of every page in a single array. The
+        // key holding the results is figured out from the response if
+        // it isn't given.
+        this.methods.collect = (methodName, args = {}, key)=>{
+            return paginate.collect((pageArgs)=> this.getMethod(methodName)(pageArgs), getPageArgs(methodName, args), key);
+        };
 
-            function send() {
-                return slackRequest.makeRequest('chat.postMessage', args);
-            }
+        this.methods.auth.test = (args = {})=>{
+            return this.callMethod('auth.test', args).then((auth)=>{
+                // auth.test only has names and ids, so keep anything else already known
+                if(!isFresh('self', 'self')) this.storage.self.save(Object.assign({}, this.cache.self, new SlackObject(auth.user, auth.user_id)));
+                if(!isFresh('team', 'team')) this.storage.team.save(Object.assign({}, this.cache.team, new SlackObject(auth.team, auth.team_id)));
 
-            if (args.text.length < 3000) {
-                return send();
-            }
+                return auth;
+            });
+        };
 
-            let msg = args.text;
-            const queue = [];
+        // Text that's too long is split into several messages (see
+        // formatting.splitText), and with {thread: true} the rest are
+        // posted as replies to the first. Resolves with the last message
+        // posted, with the ts of every message as `timestamps`. Passing
+        // the `timestamps` of a failed attempt carries on after them.
+        this.methods.chat.postMessage = async (args = {}, options = {})=>{
+            const maxLength = options.maxLength || MAX_MESSAGE_LENGTH;
 
-            while (msg.length > 2999) {
-                queue.push(msg.substr(0, 3000));
-                msg = msg.substr(3000);
-            }
+            // With blocks, text is only the notification fallback
+            if (typeof args.text !== 'string' || args.blocks || args.text.length <= maxLength) {
+                const res = await this.callMethod('chat.postMessage', args);
 
-            if (msg.length > 0) {
-                queue.push(msg);
+                return Object.assign(res, {timestamps: [res.ts]});
             }
 
+            const chunks     = formatting.splitText(args.text, maxLength);
+            const timestamps = (options.timestamps || []).slice();
+            let threadTs     = args.thread_ts || ((options.thread) ? timestamps[0] : undefined);
             let last;
 
-            for (let text of queue) {
+            for (let i = timestamps.length; i < chunks.length; i++) {
+                const chunkArgs = Object.assign({}, args, {text: chunks[i]});
+
+                // Attachments go under the end of the message
+                if (i < chunks.length - 1) delete chunkArgs.attachments;
+                if (threadTs) chunkArgs.thread_ts = threadTs;
+
                 try {
-                    args.text = text;
-                    last = await send();
+                    last = await this.callMethod('chat.postMessage', chunkArgs);
                 } catch (e) {
+                    // So whatever was already posted can be cleaned up
+                    e.timestamps = timestamps;
                     throw e;
                 }
+
+                timestamps.push(last.ts);
+
+                if (options.thread && !threadTs) threadTs = last.ts;
+            }
+
+            return Object.assign(last, {timestamps});
+        };
+
+        // post_at can be a Date as well as a unix timestamp in seconds
+        this.methods.chat.scheduleMessage = (args = {})=>{
+            if(args.post_at instanceof Date){
+                args = Object.assign({}, args, {post_at: Math.floor(args.post_at.getTime()/1000)});
             }
 
-            return last;
+            return this.callMethod('chat.scheduleMessage', args);
+        };
+    }
+
+    // Everything that comes from Slack goes through here, whether it
+    // came over RTM or the Events API.
+    emitEvent(type, data){
+        this.emit(type, data);
+        this.emit('event', type, data);
+    }
+
+    // Middleware run on every message before it's matched, as (context, next)
+    use(...middleware){
+        this.messages.use(...middleware);
+
+        return this;
+    }
+
+    hears(pattern, ...handlers){
+        this.messages.hears(pattern, ...handlers);
+
+        return this;
+    }
+
+    command(name, ...handlers){
+        this.messages.command(name, ...handlers);
+
+        return this;
+    }
+
+    // Splits message text into tokens (see formatting.tokenize), with
+    // mentioned users and conversations looked up through storage.
+    parseMessage(text){
+        return formatting.parse(text, this.storage);
+    }
+
+    // Queues a message in the outbox, which retries it until it's
+    // delivered (see Outbox). Resolves once it's queued, with the entry
+    // the messageDelivered and messageFailed events are emitted with.
+    queueMessage(channel, message, options){
+        return this.outbox.push(toMessageArgs(channel, message), options);
+    }
+
+    // Posts a message only user can see
+    postEphemeral(channel, user, message){
+        return this.methods.chat.postEphemeral(Object.assign(toMessageArgs(channel, message), {user}));
+    }
+
+    // postAt is a Date or a unix timestamp in seconds. Slack's response
+    // has the scheduled_message_id to delete it with.
+    scheduleMessage(channel, message, postAt){
+        return this.methods.chat.scheduleMessage(Object.assign(toMessageArgs(channel, message), {post_at: postAt}));
+    }
+
+    deleteScheduledMessage(channel, scheduledMessageId){
+        return this.methods.chat.deleteScheduledMessage({channel, scheduled_message_id: scheduledMessageId});
+    }
+
+    // Messages that are scheduled but not posted yet, in every channel if one isn't given
+    listScheduledMessages(channel){
+        return this.methods.collect('chat.scheduledMessages.list', (channel) ? {channel} : {}, 'scheduled_messages');
+    }
+
+    // Creates an Events API receiver whose events are emitted on this
+    // bot just like RTM events are.
+    createEventReceiver(options){
+        const receiver = new EventReceiver(options);
+
+        receiver.on('event', (type, data)=> this.emitEvent(type, data));
+
+        return receiver;
+    }
+
+    // Creates a router for slash commands and interactive components,
+    // whose handlers get this bot as context.client.
+    createInteractionRouter(options){
+        return new InteractionRouter(Object.assign({client: this}, options));
+    }
+
+    // Validates and sends a request for any Web API method
+    callMethod(methodName, args = {}){
+        const meta    = this.registry.get(methodName);
+        const missing = this.registry.getMissingArguments(methodName, args);
+
+        if(missing.length){
+            return Promise.reject(new SlackArgumentError(methodName, missing));
+        }
+
+        if(meta.deprecated && !this.deprecationWarnings.has(methodName)){
+            this.deprecationWarnings.add(methodName);
+
+            this.log.warn(`${methodName} is deprecated by Slack${(typeof meta.deprecated === 'string') ? `, use ${meta.deprecated} instead` : ''}`);
         }
+
+        // A copy, so the token doesn't end up in the caller's args
+        args = Object.assign({}, args, {token: this.token});
+
+        return slackRequest.makeRequest(methodName, args, this.queue);
+    }
+
+    getMethod(methodName){
+        let method = methodName.split('.').reduce((apiObj, part)=> (apiObj) ? apiObj[part] : undefined, this.methods);
+
+        if(typeof method !== 'function'){
+            throw new Error(`Unknown method ${methodName}`);
+        }
+
+        return method;
     }
 }
 
@@ -0,0 +1,93 @@
+class SlackError extends Error{
+    constructor(message, method){
+        super(message);
+        this.name      = this.constructor.name;
+        this.method    = method;
+        this.retryable = false;
+    }
+}
+
+// Slack answered, but with ok: false
+class SlackAPIError extends SlackError{
+    constructor(method, body = {}){
+        super(`${method} failed: ${body.error}`, method);
+        this.code             = body.error;
+        this.warning          = body.warning;
+        this.responseMetadata = body.response_metadata;
+        this.body             = body;
+    }
+}
+
+// Slack answered with something other than a 200
+class SlackHTTPError extends SlackError{
+    constructor(method, statusCode, headers = {}, body){
+        const code = (body && body.error) ? body.error : undefined;
+
+        super(`${method} failed with HTTP ${statusCode}${(code) ? `: ${code}` : ''}`, method);
+        this.statusCode = statusCode;
+        this.headers    = headers;
+        this.body       = body;
+        this.code       = code;
+        this.retryable  = statusCode >= 500;
+    }
+}
+
+class SlackRateLimitError extends SlackHTTPError{
+    constructor(method, statusCode, headers = {}, body){
+        super(method, statusCode, headers, body);
+        this.code       = this.code || 'ratelimited';
+        this.retryAfter = (parseInt(headers['retry-after'], 10) || 1)*1000;
+        this.retryable  = true;
+    }
+}
+
+// The request never got an answer at all
+class SlackNetworkError extends SlackError{
+    constructor(method, cause){
+        super(`${method} failed: ${cause.message}`, method);
+        this.cause     = cause;
+        this.code      = cause.code;
+        this.retryable = true;
+    }
+}
+
+// The request was never sent, because required arguments were missing
+class SlackArgumentError extends SlackError{
+    constructor(method, missing){
+        const names = missing.map((arg)=> (Array.isArray(arg)) ? arg.join(' or ') : arg);
+
+        super(`${method} is missing required arguments: ${names.join(', ')}`, method);
+        this.code    = 'missing_argument';
+        this.missing = missing;
+    }
+}
+
+// Something sent over the RTM socket was rejected or never acknowledged
+class SlackRTMError extends SlackError{
+    constructor(event, code, message){
+        super(`Sending ${event.type} over RTM failed: ${message || code}`, 'rtm.send');
+        this.event     = event;
+        this.code      = code;
+        this.retryable = ['not_connected', 'reply_timeout', 'connection_closed'].includes(code);
+    }
+}
+
+// Blocks built with BlockKit break one of Slack's limits
+class SlackBlockError extends SlackError{
+    constructor(problems){
+        super(`Invalid blocks: ${problems.join('; ')}`);
+        this.code     = 'invalid_blocks';
+        this.problems = problems;
+    }
+}
+
+module.exports = {
+    SlackError,
+    SlackAPIError,
+    SlackHTTPError,
+    SlackRateLimitError,
+    SlackNetworkError,
+    SlackArgumentError,
+    SlackRTMError,
+    SlackBlockError
+};
\ No newline at end of file
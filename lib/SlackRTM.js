@@ -1,23 +1,133 @@
-const EventEmitter = require('events');
-const WebSocket    = require('frozor-websocket');
-const slackRequest = require('./slackRequest');
+const EventEmitter  = require('events');
+const RTMSocket     = require('./RTMSocket');
+const slackRequest  = require('./slackRequest');
+const clientOptions = require('./clientOptions');
+
+const { SlackRTMError } = require('./SlackError');
+
+// rtm.start failing with one of these won't get better by retrying
+const FATAL_ERRORS = ['invalid_auth', 'not_authed', 'account_inactive', 'token_revoked'];
 
 class RTMManager extends EventEmitter{
-    constructor(token, prefix){
+    constructor(token, prefix, queue, options = {}){
         super();
         this.token  = token;
 
-        let socketPrefix = `${(prefix)?`${prefix}|`:''}RTM`;
+        this.pingInterval      = options.pingInterval || 30*1000;
+        this.pongTimeout       = options.pongTimeout || 10*1000;
+        this.reconnectDelay    = options.reconnectDelay || 1000;
+        this.maxReconnectDelay = options.maxReconnectDelay || 60*1000;
+        this.autoReconnect     = options.autoReconnect !== false;
+        this.replyTimeout      = options.replyTimeout || 10*1000;
+
+        this.messageId         = 0;
+        this.pendingReplies    = new Map();
+        this.reconnectAttempts = 0;
+        this.reconnecting      = false;
+        this.stopped           = true;
+
+        this.pingTimer         = null;
+        this.pongTimer         = null;
+        this.reconnectTimer    = null;
+
+        let socketPrefix   = `${(prefix)?`${prefix}|`:''}RTM`;
+        let requestOptions = clientOptions.resolveRequestOptions(options, socketPrefix);
+
+        // SlackAPI shares its queue, on its own rtm.start needs one sending with these options
+        this.queue = queue || slackRequest.createQueue({request: requestOptions});
+        this.proxy = requestOptions.proxy;
+
+        this.socket = new RTMSocket({
+            prefix         : socketPrefix,
+            name           : 'RTM'||prefix,
+            log            : clientOptions.createLogger(options, socketPrefix, 'websocket'),
+            agent          : requestOptions.agent,
+            userAgent      : requestOptions.userAgent,
+            connectTimeout : options.connectTimeout || requestOptions.timeout.default
+        });
+
+        //Tell people when there's a new event, obviously...
+        this.socket.on('message', (event)=> this.handleEvent(event));
+
+        this.socket.on('connected', ()=> this.startHeartbeat());
+        this.socket.on('close', (code)=> this.reconnect(`socket closed with code ${code}`));
+        this.socket.on('connectFailed', ()=> this.reconnect('could not connect to socket'));
+
+        // The socket has already logged it and the close that follows
+        // reconnects, but an 'error' nobody listens to would throw
+        this.socket.on('error', (error)=> this.emit('socketError', error));
+    }
+
+    nextId(){
+        return ++this.messageId;
+    }
+
+    // Sends an event over the socket, resolving with Slack's reply to it
+    send(event){
+        const message = Object.assign({id: this.nextId()}, event);
+
+        return new Promise((resolve, reject)=>{
+            if(!this.socket.sendJSON(message)){
+                return reject(new SlackRTMError(message, 'not_connected'));
+            }
 
-        this.socket = new WebSocket({
-            prefix: socketPrefix,
-            name  : 'RTM'||prefix,
-            json  : true
+            const timer = setTimeout(()=>{
+                this.pendingReplies.delete(message.id);
+                reject(new SlackRTMError(message, 'reply_timeout'));
+            }, this.replyTimeout);
+
+            this.pendingReplies.set(message.id, {message, resolve, reject, timer});
         });
     }
 
+    sendMessage(channel, text){
+        return this.send({type: 'message', channel, text});
+    }
+
+    // Slack doesn't reply to typing indicators, so this just
+    // returns whether it could be sent.
+    typing(channel){
+        return this.socket.sendJSON({id: this.nextId(), type: 'typing', channel});
+    }
+
+    handleReply(reply){
+        const pending = this.pendingReplies.get(reply.reply_to);
+
+        if(!pending){
+            return;
+        }
+
+        clearTimeout(pending.timer);
+        this.pendingReplies.delete(reply.reply_to);
+
+        if(reply.ok === false){
+            const error = reply.error || {};
+
+            return pending.reject(new SlackRTMError(pending.message, error.code, error.msg));
+        }
+
+        pending.resolve(reply);
+    }
+
+    rejectPendingReplies(){
+        for(let pending of this.pendingReplies.values()){
+            clearTimeout(pending.timer);
+            pending.reject(new SlackRTMError(pending.message, 'connection_closed'));
+        }
+
+        this.pendingReplies.clear();
+    }
+
     start(){
-        return slackRequest.makeRequest('rtm.start', {token: this.token})
+        // The socket can only be proxied through an agent, without one
+        // it would quietly connect straight to Slack
+        if(this.proxy && !this.socket.options.agent){
+            return Promise.reject(new Error('The RTM socket can\'t use the proxy option on its own, pass an agent for the proxy too (e.g. an HttpsProxyAgent)'));
+        }
+
+        this.stopped = false;
+
+        return slackRequest.makeRequest('rtm.start', {token: this.token}, this.queue)
             .then((result)=>{
                 //Emit that the request is a success
                 this.emit('requestSuccess');
@@ -34,22 +144,117 @@ class RTMManager extends EventEmitter{
                     bots     : result.bots
                 });
 
-                //Connect to the socket
-                this.socket.connect(result.url);
-
-                //Tell people when there's a new event, obviously...
-                this.socket.on('message', (event)=>{
-                    if(event.type == 'reconnect_url') this.socket.options.reconnect_url = event.url;
-                    this.emit('event', event.type, event);
-                });
+                //Connect to the socket, unless we were stopped in the meantime
+                if(!this.stopped){
+                    this.socket.connect(result.url);
+                }
 
                 return result;
             }).catch((e)=>{
                 this.emit('requestFail', e);
 
-                return e;
+                throw e;
             })
     }
+
+    stop(){
+        this.stopped      = true;
+        this.reconnecting = false;
+
+        this.stopHeartbeat();
+        this.rejectPendingReplies();
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        this.socket.close();
+    }
+
+    handleEvent(event){
+        // Replies to things we sent don't have a type
+        if(!event.type && event.reply_to != null){
+            return this.handleReply(event);
+        }
+
+        switch(event.type){
+            case 'hello':
+                if(this.reconnecting){
+                    this.reconnecting      = false;
+                    this.reconnectAttempts = 0;
+
+                    this.emit('reconnected');
+                }
+                break;
+            case 'pong':
+                clearTimeout(this.pongTimer);
+                this.pongTimer = null;
+                break;
+        }
+
+        this.emit('event', event.type, event);
+
+        // Slack is about to close the connection on us
+        if(event.type === 'goodbye'){
+            this.reconnect('goodbye');
+        }
+    }
+
+    startHeartbeat(){
+        this.stopHeartbeat();
+
+        this.pingTimer = setInterval(()=>{
+            if(this.pongTimer){
+                return;
+            }
+
+            this.socket.sendJSON({id: this.nextId(), type: 'ping'});
+
+            this.pongTimer = setTimeout(()=>{
+                this.pongTimer = null;
+                this.reconnect('missed pong');
+            }, this.pongTimeout);
+        }, this.pingInterval);
+    }
+
+    stopHeartbeat(){
+        clearInterval(this.pingTimer);
+        clearTimeout(this.pongTimer);
+
+        this.pingTimer = null;
+        this.pongTimer = null;
+    }
+
+    // reconnect_url only works for a short while and doesn't come with
+    // any org data, so this always goes back through rtm.start to get
+    // a fresh url and resync the cache through 'orgData'.
+    reconnect(reason){
+        if(this.stopped || !this.autoReconnect || this.reconnectTimer){
+            return;
+        }
+
+        this.stopHeartbeat();
+        this.rejectPendingReplies();
+        this.socket.close();
+
+        const delay = Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempts), this.maxReconnectDelay);
+
+        this.reconnecting = true;
+        this.reconnectAttempts++;
+
+        this.emit('reconnecting', this.reconnectAttempts, delay, reason);
+
+        this.reconnectTimer = setTimeout(()=>{
+            this.reconnectTimer = null;
+
+            this.start().catch((e)=>{
+                if(FATAL_ERRORS.includes(e.code)){
+                    return this.stop();
+                }
+
+                this.reconnect(`rtm.start failed: ${e.message}`);
+            });
+        }, delay);
+    }
 }
 
 module.exports = RTMManager;
\ No newline at end of file
@@ -0,0 +1,149 @@
+const config          = require('../config/');
+const SlackAPI        = require('./SlackAPI');
+const MockSlackServer = require('./MockSlackServer');
+
+// Tests shouldn't have to wait a minute to call rtm.start twice
+const UNLIMITED = {};
+
+for(let tier of Object.keys(config.tiers.limits)){
+    UNLIMITED[tier] = Infinity;
+}
+
+// Whether a message matches what a test is waiting for. Matchers are
+// functions, or objects whose values have to be equal (or match, for
+// regexes), e.g. {channel: 'C00000001', text: /pong/}.
+function matches(message, matcher){
+    if(typeof matcher === 'function'){
+        return !!matcher(message);
+    }
+
+    return Object.keys(matcher).every((key)=>{
+        const expected = matcher[key];
+
+        if(expected instanceof RegExp){
+            return typeof message[key] === 'string' && expected.test(message[key]);
+        }
+
+        return message[key] === expected;
+    });
+}
+
+// Runs a bot against a MockSlackServer, for tests that don't need (or
+// shouldn't touch) a real workspace:
+//
+// const harness = new SlackTestHarness();
+// const bot     = await harness.start();
+//
+// bot.command('ping', ({reply})=> reply('pong'));
+//
+// harness.message('!ping');
+// const reply = await harness.waitForMessage({text: 'pong'});
+//
+// await harness.stop();
+class SlackTestHarness{
+    constructor(options = {}){
+        this.server     = new MockSlackServer(options);
+        this.botOptions = Object.assign({queue: {limits: UNLIMITED, retryDelay: 10}, logLevel: 'warn'}, options.botOptions);
+        this.bot        = null;
+
+        // Where waitForMessage carries on looking from
+        this.cursor     = 0;
+    }
+
+    get posted(){
+        return this.server.posted;
+    }
+
+    get calls(){
+        return this.server.calls;
+    }
+
+    // Starts the server and a bot pointed at it, connected over RTM
+    // unless {rtm: false}. Resolves with the bot once Slack said hello.
+    async start(options = {}){
+        const baseUrl = await this.server.listen();
+
+        this.bot = new SlackAPI(this.server.token, 'TEST', Object.assign({baseUrl}, this.botOptions));
+
+        if(options.rtm !== false){
+            const hello = new Promise((resolve)=> this.bot.once('hello', resolve));
+
+            await this.bot.rtm.start();
+            await hello;
+        }
+
+        return this.bot;
+    }
+
+    async stop(){
+        if(this.bot){
+            this.bot.rtm.stop();
+            this.bot.outbox.stop();
+        }
+
+        await this.server.close();
+    }
+
+    // Sends the bot a message from someone else, text or a message object
+    message(message){
+        return this.server.injectMessage(message);
+    }
+
+    // Sends the bot any other event over RTM
+    event(event){
+        this.server.sendEvent(event);
+
+        return event;
+    }
+
+    // Resolves with the next message the bot posts that matches. Each
+    // wait carries on after the last message matched, so waiting twice
+    // waits for two messages.
+    waitForMessage(matcher = {}, timeout = 2000){
+        const found = this.findPosted(matcher);
+
+        if(found){
+            return Promise.resolve(found);
+        }
+
+        return new Promise((resolve, reject)=>{
+            const onPosted = ()=>{
+                const message = this.findPosted(matcher);
+
+                if(message){
+                    clearTimeout(timer);
+                    this.server.removeListener('posted', onPosted);
+                    resolve(message);
+                }
+            };
+
+            const timer = setTimeout(()=>{
+                this.server.removeListener('posted', onPosted);
+                reject(new Error(`The bot didn't post a matching message within ${timeout}ms`));
+            }, timeout);
+
+            this.server.on('posted', onPosted);
+        });
+    }
+
+    findPosted(matcher){
+        for(let i = this.cursor; i < this.server.posted.length; i++){
+            if(matches(this.server.posted[i], matcher)){
+                this.cursor = i + 1;
+
+                return this.server.posted[i];
+            }
+        }
+
+        return null;
+    }
+
+    // Every call the bot made to a method, e.g. harness.callsTo('reactions.add')
+    callsTo(method){
+        return this.server.calls.filter((call)=> call.method === method).map((call)=> call.args);
+    }
+}
+
+SlackTestHarness.matches = matches;
+
+module.exports = SlackTestHarness;
@@ -0,0 +1,360 @@
+const EventEmitter  = require('events');
+const http          = require('http');
+const crypto        = require('crypto');
+const url           = require('url');
+const querystring   = require('querystring');
+const config        = require('../config/');
+const SlackAPI      = require('./SlackAPI');
+const EventReceiver = require('./EventReceiver');
+const slackRequest  = require('./slackRequest');
+const verification  = require('./requestVerification');
+const clientOptions = require('./clientOptions');
+const httpServer    = require('./httpServer');
+
+const { MemoryInstallationStore } = require('./installationStores');
+
+// How long someone has to finish installing after starting
+const STATE_TTL = 10*60*1000;
+
+// Whether an event means the workspace's bot token doesn't work
+// anymore. tokens_revoked can be for just some users' tokens.
+function isUninstallEvent(event){
+    if(event.type === 'app_uninstalled'){
+        return true;
+    }
+
+    return event.type === 'tokens_revoked' && !!event.tokens && Array.isArray(event.tokens.bot) && event.tokens.bot.length > 0;
+}
+
+function sendHTML(res, status, html){
+    res.writeHead(status, {'Content-Type': 'text/html; charset=utf-8'});
+    res.end(html);
+}
+
+function getInstallationId(installation){
+    return (installation.isEnterpriseInstall) ? installation.enterpriseId : installation.teamId;
+}
+
+// Which installation an Events API payload belongs to
+function getPayloadInstallationId(payload){
+    if(payload.is_enterprise_install){
+        return payload.enterprise_id;
+    }
+
+    return payload.team_id || (payload.team && payload.team.id);
+}
+
+// Runs one app across many workspaces: installs it with the OAuth v2
+// flow, keeps every workspace's installation in an installation store,
+// and creates a SlackAPI client per workspace the first time it's needed.
+class WorkspaceManager extends EventEmitter{
+    constructor(options = {}){
+        super();
+
+        if(!options.clientId || !options.clientSecret){
+            throw new Error('A client id and client secret are required to install the app');
+        }
+
+        this.clientId      = options.clientId;
+        this.clientSecret  = options.clientSecret;
+        this.scopes        = options.scopes || [];
+        this.userScopes    = options.userScopes || [];
+        this.redirectUri   = options.redirectUri;
+        this.installPath   = options.installPath || '/slack/install';
+        this.redirectPath  = options.redirectPath || '/slack/oauth_redirect';
+        this.successUrl    = options.successUrl;
+        this.prefix        = options.prefix;
+        this.installations = options.installationStore || new MemoryInstallationStore();
+
+        // Options for every client, and a function returning the
+        // options for a specific workspace (e.g. its own cache adapter)
+        this.clientOptions       = options.clientOptions || {};
+        this.createClientOptions = options.createClientOptions || (()=> ({}));
+
+        // For oauth.v2.access, which isn't sent by any one workspace's client
+        this.queue               = slackRequest.createQueue({request: clientOptions.resolveRequestOptions(this.clientOptions, 'OAUTH')});
+
+        // installation id -> SlackAPI, or the promise of one while it's created
+        this.clients       = new Map();
+
+        // OAuth state -> when it was created, so a redirect has to come from an install we started
+        this.states        = new Map();
+        this.server        = null;
+    }
+
+    createState(){
+        const now   = Date.now();
+        const state = crypto.randomBytes(16).toString('hex');
+
+        for(let [old, created] of this.states){
+            if(now - created < STATE_TTL) break;
+
+            this.states.delete(old);
+        }
+
+        this.states.set(state, now);
+
+        return state;
+    }
+
+    // States can only be used once
+    verifyState(state){
+        const created = this.states.get(state);
+
+        this.states.delete(state);
+
+        return created != null && Date.now() - created < STATE_TTL;
+    }
+
+    getInstallUrl(state = this.createState()){
+        const query = {
+            client_id  : this.clientId,
+            scope      : this.scopes.join(','),
+            user_scope : this.userScopes.join(','),
+            state
+        };
+
+        if(this.redirectUri){
+            query.redirect_uri = this.redirectUri;
+        }
+
+        return `${config.oauth_url}?${querystring.stringify(query)}`;
+    }
+
+    // Sends whoever is installing off to Slack to approve the app
+    handleInstall(req, res){
+        res.writeHead(302, {Location: this.getInstallUrl()});
+        res.end();
+    }
+
+    // Where Slack sends them back to after they've approved (or cancelled)
+    handleRedirect(req, res){
+        const query = url.parse(req.url, true).query;
+
+        if(query.error){
+            this.emit('installError', new Error(`Install was cancelled: ${query.error}`), req);
+            return sendHTML(res, 400, 'The app was not installed.');
+        }
+
+        if(!query.code || !this.verifyState(query.state)){
+            this.emit('installError', new Error('Install redirect had a missing or invalid state'), req);
+            return sendHTML(res, 400, 'This install link has expired, please try again.');
+        }
+
+        return this.completeInstall(query.code).then((installation)=>{
+            if(this.successUrl){
+                res.writeHead(302, {Location: this.successUrl});
+                return res.end();
+            }
+
+            sendHTML(res, 200, `The app was installed to ${installation.teamName || 'your workspace'}.`);
+        }).catch((e)=>{
+            this.emit('installError', e, req);
+
+            if(!res.headersSent){
+                sendHTML(res, 500, 'Something went wrong installing the app, please try again.');
+            }
+        });
+    }
+
+    // Trades the code from the redirect for tokens and saves them
+    completeInstall(code){
+        const args = {
+            client_id     : this.clientId,
+            client_secret : this.clientSecret,
+            code
+        };
+
+        if(this.redirectUri){
+            args.redirect_uri = this.redirectUri;
+        }
+
+        return slackRequest.makeRequest('oauth.v2.access', args, this.queue).then((res)=>{
+            const team       = res.team || {};
+            const enterprise = res.enterprise || {};
+            const authedUser = res.authed_user || {};
+
+            const installation = {
+                teamId              : team.id,
+                teamName            : team.name,
+                enterpriseId        : enterprise.id,
+                isEnterpriseInstall : !!res.is_enterprise_install,
+                appId               : res.app_id,
+                botToken            : res.access_token,
+                botUserId           : res.bot_user_id,
+                botScopes           : (res.scope) ? res.scope.split(',') : [],
+                users               : {},
+                installedAt         : Date.now()
+            };
+
+            const id = getInstallationId(installation);
+
+            // Installing again (e.g. another user granting user scopes)
+            // shouldn't lose the tokens of users who installed before.
+            return this.installations.get(id).then((existing)=>{
+                if(existing && existing.users){
+                    Object.assign(installation.users, existing.users);
+                }
+
+                if(authedUser.access_token){
+                    installation.users[authedUser.id] = {
+                        token  : authedUser.access_token,
+                        scopes : (authedUser.scope) ? authedUser.scope.split(',') : []
+                    };
+                }
+
+                return this.installations.save(id, installation);
+            }).then(()=>{
+                // The token may have changed, so the next client uses the new one
+                this.removeClient(id);
+                this.emit('installed', installation);
+
+                return installation;
+            });
+        });
+    }
+
+    // Resolves with the client for a workspace, creating it the first time
+    getClient(id){
+        if(this.clients.has(id)){
+            return Promise.resolve(this.clients.get(id));
+        }
+
+        const creating = this.installations.get(id).then((installation)=>{
+            if(!installation || !installation.botToken){
+                throw new Error(`The app is not installed to ${id}`);
+            }
+
+            const options = Object.assign({}, this.clientOptions, this.createClientOptions(id, installation));
+            const client  = new SlackAPI(installation.botToken, this.prefix, options);
+
+            client.installation = installation;
+
+            return client.storage.load().then(()=>{
+                // It may have been uninstalled or reinstalled in the meantime
+                if(this.clients.get(id) !== creating){
+                    return this.getClient(id);
+                }
+
+                this.clients.set(id, client);
+                this.emit('client', client, installation);
+
+                return client;
+            });
+        });
+
+        this.clients.set(id, creating);
+
+        return creating.catch((e)=>{
+            if(this.clients.get(id) === creating){
+                this.clients.delete(id);
+            }
+
+            throw e;
+        });
+    }
+
+    removeClient(id){
+        const client = this.clients.get(id);
+
+        this.clients.delete(id);
+
+        if(client instanceof SlackAPI){
+            client.rtm.stop();
+            client.outbox.stop();
+        }
+    }
+
+    uninstall(id){
+        this.removeClient(id);
+
+        return this.installations.delete(id).then(()=> this.emit('uninstalled', id));
+    }
+
+    // Hands an Events API payload to the client of the workspace it came from
+    dispatchEvent(payload){
+        const id = getPayloadInstallationId(payload);
+
+        return this.getClient(id).then((client)=>{
+            const event = payload.event;
+
+            client.emitEvent(event.type, event);
+
+            if(isUninstallEvent(event)){
+                return this.uninstall(id);
+            }
+
+            if(event.type === 'tokens_revoked' && event.tokens && Array.isArray(event.tokens.oauth)){
+                return this.revokeUserTokens(id, event.tokens.oauth);
+            }
+        }).catch((e)=> this.emit('eventError', e, payload));
+    }
+
+    // Forgets the tokens of users who revoked them, the bot's still installed
+    revokeUserTokens(id, userIds){
+        return this.installations.get(id).then((installation)=>{
+            if(!installation || !installation.users){
+                return;
+            }
+
+            const users = Object.assign({}, installation.users);
+
+            for(let userId of userIds){
+                delete users[userId];
+            }
+
+            const updated = Object.assign({}, installation, {users});
+
+            return this.installations.save(id, updated).then(()=>{
+                const client = this.clients.get(id);
+
+                if(client instanceof SlackAPI){
+                    client.installation = updated;
+                }
+
+                this.emit('tokensRevoked', id, userIds);
+            });
+        });
+    }
+
+    // One receiver for every workspace's events, see EventReceiver
+    createEventReceiver(options){
+        const receiver = new EventReceiver(options);
+
+        receiver.on('event', (type, event, payload)=> this.dispatchEvent(payload));
+
+        return receiver;
+    }
+
+    // A (req, res) handler for the install and redirect paths
+    requestHandler(){
+        return (req, res)=>{
+            const pathname = req.url.split('?')[0];
+
+            if(req.method === 'GET' && pathname === this.installPath){
+                return this.handleInstall(req, res);
+            }
+
+            if(req.method === 'GET' && pathname === this.redirectPath){
+                return this.handleRedirect(req, res);
+            }
+
+            verification.sendJSON(res, 404, {ok: false, error: 'not found'});
+        };
+    }
+
+    listen(port, host){
+        this.server = http.createServer(this.requestHandler());
+
+        return httpServer.listen(this.server, port, host);
+    }
+
+    close(){
+        const server = this.server;
+        this.server  = null;
+
+        return httpServer.close(server);
+    }
+}
+
+module.exports = WorkspaceManager;
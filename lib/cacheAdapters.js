@@ -0,0 +1,147 @@
+const JSONFile = require('./JSONFile');
+
+// Where the bot's storage persists its cache. The bot always keeps a
+// working copy in memory (bot.cache), and writes every change through
+// to its adapter so it can be loaded again with bot.storage.load().
+//
+// Every method returns a promise. This base class doesn't store
+// anything, so it doubles as a starting point for external stores:
+// extend it and implement these against redis, a database, etc.
+class CacheAdapter{
+    // Resolves with every entry that's stored, as {collection, id, value, savedAt}
+    load(){
+        return Promise.resolve([]);
+    }
+
+    set(collection, id, value, savedAt){
+        return Promise.resolve();
+    }
+
+    delete(collection, id){
+        return Promise.resolve();
+    }
+
+    clear(collection){
+        return Promise.resolve();
+    }
+}
+
+class MemoryCacheAdapter extends CacheAdapter{
+    constructor(){
+        super();
+        this.data = {};
+    }
+
+    load(){
+        const entries = [];
+
+        for(let collection of Object.keys(this.data)){
+            for(let id of Object.keys(this.data[collection])){
+                entries.push(Object.assign({collection, id}, this.data[collection][id]));
+            }
+        }
+
+        return Promise.resolve(entries);
+    }
+
+    set(collection, id, value, savedAt){
+        if(!this.data.hasOwnProperty(collection)){
+            this.data[collection] = {};
+        }
+
+        this.data[collection][id] = {value, savedAt};
+
+        return Promise.resolve();
+    }
+
+    delete(collection, id){
+        if(this.data.hasOwnProperty(collection)){
+            delete this.data[collection][id];
+        }
+
+        return Promise.resolve();
+    }
+
+    clear(collection){
+        delete this.data[collection];
+
+        return Promise.resolve();
+    }
+}
+
+// Keeps everything in memory and writes it all to a JSON file shortly
+// after it changes, so a burst of saves is one write. Every change in
+// a burst resolves (or rejects) with that one write.
+class FileCacheAdapter extends MemoryCacheAdapter{
+    constructor(file, options = {}){
+        super();
+        this.json         = new JSONFile(file);
+        this.file         = this.json.file;
+        this.writeDelay   = (options.writeDelay != null) ? options.writeDelay : 1000;
+        this.writeTimer   = null;
+        this.pendingWrite = null;
+        this.settleWrite  = null;
+    }
+
+    load(){
+        return this.json.read().then((data)=>{
+            // Nothing has been saved yet if there's no file
+            if(data) this.data = data;
+        }).then(()=> super.load());
+    }
+
+    // The memory adapter changes data straight away, so these only
+    // have to wait for the write
+    set(collection, id, value, savedAt){
+        super.set(collection, id, value, savedAt);
+
+        return this.scheduleWrite();
+    }
+
+    delete(collection, id){
+        super.delete(collection, id);
+
+        return this.scheduleWrite();
+    }
+
+    clear(collection){
+        super.clear(collection);
+
+        return this.scheduleWrite();
+    }
+
+    scheduleWrite(){
+        if(!this.pendingWrite){
+            this.pendingWrite = new Promise((resolve, reject)=>{
+                this.settleWrite = {resolve, reject};
+                // Failures reach whoever made the changes, through pendingWrite
+                this.writeTimer  = setTimeout(()=> this.flush().catch(()=>{}), this.writeDelay);
+
+                // A pending write shouldn't keep the process alive, call flush() before exiting
+                this.writeTimer.unref();
+            });
+        }
+
+        return this.pendingWrite;
+    }
+
+    // Writes everything now instead of waiting, e.g. before exiting
+    flush(){
+        const settle = this.settleWrite;
+
+        clearTimeout(this.writeTimer);
+        this.writeTimer   = null;
+        this.pendingWrite = null;
+        this.settleWrite  = null;
+
+        const written = this.json.write(()=> this.data);
+
+        if(settle){
+            written.then(settle.resolve, settle.reject);
+        }
+
+        return written;
+    }
+}
+
+module.exports = { CacheAdapter, MemoryCacheAdapter, FileCacheAdapter };
\ No newline at end of file
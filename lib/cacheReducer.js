@@ -0,0 +1,187 @@
+const deepEquals = require('deep-equal');
+
+// Keeps bot.cache in sync with events from Slack. Anything that changes
+// a cached object also emits '<event type>_diff' with the new and old
+// versions (like 'profile_change' does for user profiles), as long as
+// there was an old version to compare to. Deleted objects are emitted
+// with undefined as the new version.
+
+function getCached(api, collection, id){
+    return (api.cache[collection]) ? api.cache[collection][id] : undefined;
+}
+
+// Objects are replaced rather than mutated, so listeners can keep the
+// old one. Partial changes to something that isn't cached are dropped,
+// since it'll be looked up in full when it's needed.
+function update(api, collection, type, id, changes, full = false){
+    const old = getCached(api, collection, id);
+
+    if(!old && !full){
+        return;
+    }
+
+    const updated = Object.assign({}, old || {id}, changes);
+
+    api.storage[collection].save(updated);
+
+    if(old && !deepEquals(old, updated)){
+        api.emit(`${type}_diff`, updated, old);
+    }
+
+    return updated;
+}
+
+function remove(api, collection, type, id){
+    const old = getCached(api, collection, id);
+
+    api.storage[collection].remove(id);
+
+    if(old){
+        api.emit(`${type}_diff`, undefined, old);
+    }
+}
+
+// Some events give you the conversation, others just its id
+function getId(channel){
+    return (typeof channel === 'string') ? channel : channel.id;
+}
+
+function updateConversation(changes){
+    return (api, data)=> update(api, 'conversations', data.type, getId(data.channel), changes);
+}
+
+function saveConversation(defaults, changes){
+    return (api, data)=> update(api, 'conversations', data.type, data.channel.id, Object.assign({}, defaults, data.channel, changes), true);
+}
+
+function removeConversation(api, data){
+    remove(api, 'conversations', data.type, getId(data.channel));
+}
+
+function updateMembers(api, type, id, user, joined){
+    const conversation = getCached(api, 'conversations', id);
+
+    if(!conversation){
+        return;
+    }
+
+    const changes = {};
+
+    if(Array.isArray(conversation.members)){
+        changes.members = conversation.members.filter((member)=> member !== user);
+
+        if(joined) changes.members.push(user);
+    }
+
+    if(api.cache.self && api.cache.self.id === user){
+        changes.is_member = joined;
+    }
+
+    update(api, 'conversations', type, id, changes);
+}
+
+function updateTeam(api, type, changes){
+    const old = api.cache.team;
+
+    if(!old){
+        return;
+    }
+
+    const updated = Object.assign({}, old, changes);
+
+    api.storage.team.save(updated);
+
+    if(!deepEquals(old, updated)){
+        api.emit(`${type}_diff`, updated, old);
+    }
+}
+
+// Topic and purpose changes only come through as messages
+const messageSubtypes = {
+    channel_topic   : (data)=> ({topic: {value: data.topic, creator: data.user, last_set: Math.floor(data.ts)}}),
+    group_topic     : (data)=> ({topic: {value: data.topic, creator: data.user, last_set: Math.floor(data.ts)}}),
+    channel_purpose : (data)=> ({purpose: {value: data.purpose, creator: data.user, last_set: Math.floor(data.ts)}}),
+    group_purpose   : (data)=> ({purpose: {value: data.purpose, creator: data.user, last_set: Math.floor(data.ts)}})
+};
+
+module.exports = {
+    team_join: (api, data)=> api.storage.users.save(data.user),
+    user_change: (api, data)=>{
+        const cached = getCached(api, 'users', data.user.id);
+
+        if(cached && !deepEquals(data.user.profile, cached.profile)){
+            api.emit('profile_change', data.user, cached);
+        }
+
+        api.storage.users.save(data.user);
+
+        if(cached && !deepEquals(data.user, cached)){
+            api.emit('user_change_diff', data.user, cached);
+        }
+    },
+
+    channel_created   : saveConversation({is_channel: true}),
+    channel_joined    : saveConversation({}, {is_member: true}),
+    channel_left      : (api, data)=> updateMembers(api, data.type, getId(data.channel), (api.cache.self) ? api.cache.self.id : null, false),
+    channel_rename    : (api, data)=> update(api, 'conversations', data.type, data.channel.id, {name: data.channel.name}),
+    channel_archive   : updateConversation({is_archived: true}),
+    channel_unarchive : updateConversation({is_archived: false}),
+    channel_deleted   : removeConversation,
+
+    // Once you've left a private channel you can't see it anymore
+    group_joined      : saveConversation({is_group: true}, {is_member: true}),
+    group_left        : removeConversation,
+    group_rename      : (api, data)=> update(api, 'conversations', data.type, data.channel.id, {name: data.channel.name}),
+    group_archive     : updateConversation({is_archived: true}),
+    group_unarchive   : updateConversation({is_archived: false}),
+    group_open        : updateConversation({is_open: true}),
+    group_close       : updateConversation({is_open: false}),
+    group_deleted     : removeConversation,
+
+    im_created        : (api, data)=> update(api, 'conversations', data.type, data.channel.id, Object.assign({is_im: true, user: data.user}, data.channel), true),
+    im_open           : updateConversation({is_open: true}),
+    im_close          : updateConversation({is_open: false}),
+
+    mpim_joined       : saveConversation({is_mpim: true}, {is_member: true}),
+    mpim_open         : updateConversation({is_open: true}),
+    mpim_close        : updateConversation({is_open: false}),
+
+    member_joined_channel : (api, data)=> updateMembers(api, data.type, data.channel, data.user, true),
+    member_left_channel   : (api, data)=> updateMembers(api, data.type, data.channel, data.user, false),
+
+    message: (api, data)=>{
+        if(messageSubtypes.hasOwnProperty(data.subtype) && data.channel){
+            update(api, 'conversations', data.subtype, data.channel, messageSubtypes[data.subtype](data));
+        }
+    },
+
+    team_rename        : (api, data)=> updateTeam(api, data.type, {name: data.name}),
+    team_domain_change : (api, data)=> updateTeam(api, data.type, {domain: data.domain, url: data.url}),
+    team_pref_change   : (api, data)=> updateTeam(api, data.type, {prefs: Object.assign({}, (api.cache.team || {}).prefs, {[data.name]: data.value})}),
+
+    // Emoji are just urls (or 'alias:name'), so their diffs come with the name too
+    emoji_changed: (api, data)=>{
+        if(data.subtype === 'add'){
+            const old = getCached(api, 'emoji', data.name);
+
+            api.storage.emoji.save(data.name, data.value);
+
+            if(old !== undefined && old !== data.value){
+                api.emit('emoji_changed_diff', data.value, old, data.name);
+            }
+        }else if(data.subtype === 'remove'){
+            for(let name of data.names || []){
+                const old = getCached(api, 'emoji', name);
+
+                api.storage.emoji.remove(name);
+
+                if(old !== undefined){
+                    api.emit('emoji_changed_diff', undefined, old, name);
+                }
+            }
+        }
+    },
+
+    bot_added   : (api, data)=> api.storage.bots.save(data.bot),
+    bot_changed : (api, data)=> update(api, 'bots', data.type, data.bot.id, data.bot, true)
+};
\ No newline at end of file
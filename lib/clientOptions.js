@@ -0,0 +1,88 @@
+const os     = require('os');
+const Logger = require('frozor-logger');
+const config = require('../config/');
+const pkg    = require('../package.json');
+
+const DEFAULT_TIMEOUT    = 30*1000;
+const DEFAULT_USER_AGENT = `${pkg.name}/${pkg.version} node/${process.versions.node} ${os.platform()}`;
+
+const LEVELS = {debug: 0, info: 1, warn: 2, error: 3, silent: 4};
+
+// Wraps any logger with debug/info/warn/error methods (console works
+// too), dropping messages below options.logLevel. Without one, a
+// frozor-logger is created with this prefix the first time something
+// is actually logged.
+function createLogger(options = {}, prefix = 'SLACK', filename){
+    const level = options.logLevel || 'info';
+
+    if(!LEVELS.hasOwnProperty(level)){
+        throw new Error(`Unknown log level ${level}, expected one of ${Object.keys(LEVELS).join(', ')}`);
+    }
+
+    let logger = options.logger;
+
+    const getLogger = ()=>{
+        if(!logger){
+            logger = new Logger(prefix, filename);
+        }
+
+        return logger;
+    };
+
+    const wrapped = {level};
+
+    for(let name of ['debug', 'info', 'warn', 'error']){
+        wrapped[name] = (LEVELS[name] < LEVELS[level]) ? ()=>{} : (message)=>{
+            const target = getLogger();
+
+            (target[name] || target.log).call(target, message);
+        };
+    }
+
+    return wrapped;
+}
+
+// Fills in the options every request to Slack is sent with. timeout is
+// in ms, either one for every method or by method with a default, e.g.
+// {default: 10000, 'files.upload': 120000}.
+function resolveRequestOptions(options = {}, prefix){
+    const timeout = (typeof options.timeout === 'object' && options.timeout !== null)
+        ? Object.assign({default: DEFAULT_TIMEOUT}, options.timeout)
+        : {default: (options.timeout != null) ? options.timeout : DEFAULT_TIMEOUT};
+
+    let baseUrl = options.baseUrl;
+
+    if(baseUrl && !baseUrl.endsWith('/')){
+        baseUrl += '/';
+    }
+
+    return {
+        baseUrl,
+        timeout,
+        agent     : options.agent,
+        proxy     : options.proxy,
+        // Yours goes first, so Slack can tell which app it is
+        userAgent : (options.userAgent) ? `${options.userAgent} ${DEFAULT_USER_AGENT}` : DEFAULT_USER_AGENT,
+        logger    : createLogger(options, prefix)
+    };
+}
+
+// Anything left out uses config.base_url, so it can still be changed in one place
+function getBaseUrl(requestOptions = {}){
+    return requestOptions.baseUrl || config.base_url;
+}
+
+function getTimeout(requestOptions = {}, method){
+    const timeout = requestOptions.timeout || {default: DEFAULT_TIMEOUT};
+
+    return (timeout.hasOwnProperty(method)) ? timeout[method] : timeout.default;
+}
+
+module.exports = {
+    DEFAULT_TIMEOUT,
+    DEFAULT_USER_AGENT,
+    createLogger,
+    resolveRequestOptions,
+    getBaseUrl,
+    getTimeout
+};
@@ -0,0 +1,252 @@
+// Slack's message formatting: https://api.slack.com/reference/surfaces/formatting
+//
+// Only &, < and > need escaping, everything in <angle brackets> is a
+// mention, link or date.
+
+function escape(text){
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescape(text){
+    return String(text).replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// Anything after a | is the label Slack shows instead of the id or url
+function withLabel(value, label){
+    return (label != null && label !== '') ? `<${value}|${escape(label)}>` : `<${value}>`;
+}
+
+function user(id){
+    return `<@${id}>`;
+}
+
+function channel(id, name){
+    return withLabel(`#${id}`, name);
+}
+
+function userGroup(id, handle){
+    return withLabel(`!subteam^${id}`, handle);
+}
+
+// @here, @channel or @everyone
+function broadcast(range = 'here'){
+    return `<!${range}>`;
+}
+
+// Shown in the reader's own timezone, format is made of tokens like
+// {date_short} or {time}. The fallback is shown where dates can't be.
+function date(timestamp, format, fallback, link){
+    const seconds = (timestamp instanceof Date) ? Math.floor(timestamp.getTime()/1000) : Math.floor(timestamp);
+
+    return `<!date^${seconds}^${format}${(link) ? `^${link}` : ''}|${escape(fallback || new Date(seconds*1000).toUTCString())}>`;
+}
+
+function link(url, text){
+    return withLabel(url, text);
+}
+
+const BROADCASTS = ['here', 'channel', 'everyone'];
+
+function parseEntity(raw){
+    const pipe  = raw.indexOf('|');
+    const value = (pipe === -1) ? raw : raw.substr(0, pipe);
+    const label = (pipe === -1) ? undefined : unescape(raw.substr(pipe+1));
+
+    switch(value.charAt(0)){
+        case '@':
+            return {type: 'user', id: value.substr(1), label};
+        case '#':
+            return {type: 'channel', id: value.substr(1), label};
+        case '!': {
+            const [command, ...parts] = value.substr(1).split('^');
+
+            if(command === 'subteam'){
+                return {type: 'usergroup', id: parts[0], label};
+            }
+
+            if(command === 'date'){
+                return {type: 'date', timestamp: parseInt(parts[0], 10), format: parts[1], link: parts[2], label};
+            }
+
+            if(BROADCASTS.includes(command)){
+                return {type: 'broadcast', range: command, label};
+            }
+
+            return {type: 'unknown', raw: value, label};
+        }
+    }
+
+    return {type: 'link', url: unescape(value), label};
+}
+
+// Splits message text into text, user, channel, usergroup, broadcast,
+// date and link tokens. Text is unescaped.
+function tokenize(text = ''){
+    const tokens = [];
+    const regex  = /<([^<>]+)>/g;
+    let last     = 0;
+    let match;
+
+    while((match = regex.exec(text))){
+        if(match.index > last){
+            tokens.push({type: 'text', text: unescape(text.substring(last, match.index))});
+        }
+
+        tokens.push(parseEntity(match[1]));
+        last = regex.lastIndex;
+    }
+
+    if(last < text.length){
+        tokens.push({type: 'text', text: unescape(text.substr(last))});
+    }
+
+    return tokens;
+}
+
+// Looks up the users and conversations tokens mention, adding them as
+// token.user and token.channel. Anything that can't be looked up is
+// left as it is.
+function resolve(tokens, storage){
+    return Promise.all(tokens.map((token)=>{
+        if(token.type === 'user'){
+            return storage.users.get(token.id).then((user)=> token.user = user, ()=> null);
+        }
+
+        if(token.type === 'channel'){
+            return storage.conversations.get(token.id).then((channel)=> token.channel = channel, ()=> null);
+        }
+    })).then(()=> tokens);
+}
+
+// Tokenizes text, and resolves the tokens if a storage is given
+function parse(text, storage){
+    const tokens = tokenize(text);
+
+    return (storage) ? resolve(tokens, storage) : Promise.resolve(tokens);
+}
+
+function userName(token){
+    const user = token.user;
+
+    if(user){
+        return (user.profile && user.profile.display_name) || user.name;
+    }
+
+    return token.label || token.id;
+}
+
+// Turns tokens back into text the way Slack would show it, e.g. @name and #channel
+function toPlainText(tokens){
+    return tokens.map((token)=>{
+        switch(token.type){
+            case 'text':      return token.text;
+            case 'user':      return `@${userName(token)}`;
+            case 'channel':   return `#${(token.channel && token.channel.name) || token.label || token.id}`;
+            case 'usergroup': return token.label || `@${token.id}`;
+            case 'broadcast': return `@${token.range}`;
+            case 'date':      return token.label;
+            case 'link':      return token.label || token.url;
+        }
+
+        return token.label || '';
+    }).join('');
+}
+
+const FENCE = '```';
+
+// Where text can be split, best first. Paragraphs and lines are only
+// used if they don't leave a chunk less than half full.
+const BREAKS = [
+    {regex: /\n[ \t]*\n\s*/g, minimum: 0.5},
+    {regex: /\n\s*/g,         minimum: 0.5},
+    {regex: /\s+/g,           minimum: 0}
+];
+
+// Whether cutting text at index would split a <mention|or link>
+function isInsideEntity(text, index){
+    const open = text.lastIndexOf('<', index - 1);
+
+    return open !== -1 && text.lastIndexOf('>', index - 1) < open && text.indexOf('>', open) >= index;
+}
+
+// Finds where to end a chunk of at most max characters, and where the
+// next one starts (after the whitespace that was split on).
+function findBreak(text, max){
+    for(let {regex, minimum} of BREAKS){
+        let found = null;
+        let match;
+
+        regex.lastIndex = 0;
+
+        while((match = regex.exec(text)) && match.index <= max){
+            if(match.index >= max*minimum && match.index > 0 && !isInsideEntity(text, match.index)){
+                found = {end: match.index, next: match.index + match[0].length};
+            }
+        }
+
+        if(found) return found;
+    }
+
+    // One enormous word, cut it wherever it fits (but not through an entity)
+    let end = max;
+
+    if(isInsideEntity(text, end) && text.lastIndexOf('<', end - 1) > 0){
+        end = text.lastIndexOf('<', end - 1);
+    }
+
+    return {end, next: end};
+}
+
+function countFences(text){
+    return text.split(FENCE).length - 1;
+}
+
+// Splits text into chunks of at most maxLength characters, on paragraph,
+// line or word boundaries. Mentions and links are never split, and a
+// code block that's split is closed at the end of one chunk and opened
+// again at the start of the next.
+function splitText(text, maxLength = 3000){
+    const chunks = [];
+    let rest     = text;
+    let reopen   = false;
+
+    while(rest.length){
+        const prefix = (reopen) ? `${FENCE}\n` : '';
+
+        if(prefix.length + rest.length <= maxLength){
+            chunks.push(prefix + rest);
+            break;
+        }
+
+        // Leave room to close a code block if it has to be
+        const {end, next} = findBreak(rest, maxLength - prefix.length - FENCE.length - 1);
+        let chunk         = prefix + rest.substr(0, end).replace(/\s+$/, '');
+
+        reopen = countFences(chunk) % 2 === 1;
+
+        if(reopen){
+            chunk += `\n${FENCE}`;
+        }
+
+        chunks.push(chunk);
+        rest = rest.substr(next);
+    }
+
+    return chunks;
+}
+
+module.exports = {
+    escape,
+    unescape,
+    user,
+    channel,
+    userGroup,
+    broadcast,
+    date,
+    link,
+    tokenize,
+    resolve,
+    parse,
+    toPlainText,
+    splitText
+};
@@ -0,0 +1,25 @@
+// Starting and stopping the http servers this library runs on its own,
+// when it isn't mounted on one of yours.
+
+// Resolves with the server once it's listening, or rejects if it can't
+// (e.g. the port is taken)
+function listen(server, port, host){
+    return new Promise((resolve, reject)=>{
+        server.once('error', reject);
+        server.listen(port, host, ()=>{
+            server.removeListener('error', reject);
+            resolve(server);
+        });
+    });
+}
+
+// Resolves once every connection has finished, fine to call without a server
+function close(server){
+    if(!server){
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve)=> server.close(()=> resolve()));
+}
+
+module.exports = { listen, close };
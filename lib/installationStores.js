@@ -0,0 +1,91 @@
+const JSONFile = require('./JSONFile');
+
+// Where a WorkspaceManager keeps installations, keyed by team id (or
+// enterprise id for org-wide installs). An installation looks like:
+//
+// {
+//     teamId, teamName, enterpriseId, isEnterpriseInstall, appId,
+//     botToken, botUserId, botScopes,
+//     users: { [userId]: { token, scopes } },
+//     installedAt
+// }
+//
+// Every method returns a promise. Extend this to keep installations in
+// a database, etc.
+class InstallationStore{
+    // Resolves with the installation, or undefined if there isn't one
+    get(id){
+        return Promise.resolve();
+    }
+
+    save(id, installation){
+        return Promise.resolve();
+    }
+
+    delete(id){
+        return Promise.resolve();
+    }
+}
+
+class MemoryInstallationStore extends InstallationStore{
+    constructor(){
+        super();
+        this.installations = {};
+    }
+
+    get(id){
+        return Promise.resolve(this.installations[id]);
+    }
+
+    save(id, installation){
+        this.installations[id] = installation;
+
+        return Promise.resolve();
+    }
+
+    delete(id){
+        delete this.installations[id];
+
+        return Promise.resolve();
+    }
+}
+
+// Keeps installations in a JSON file. Installs don't happen often, so
+// every change is written straight away.
+class FileInstallationStore extends MemoryInstallationStore{
+    constructor(file){
+        super();
+        this.json   = new JSONFile(file);
+        this.file   = this.json.file;
+        this.loaded = null;
+    }
+
+    load(){
+        if(!this.loaded){
+            this.loaded = this.json.read().then((installations)=>{
+                // Nothing has been installed yet if there's no file
+                if(installations) this.installations = installations;
+            });
+        }
+
+        return this.loaded;
+    }
+
+    get(id){
+        return this.load().then(()=> super.get(id));
+    }
+
+    save(id, installation){
+        return this.load().then(()=> super.save(id, installation)).then(()=> this.write());
+    }
+
+    delete(id){
+        return this.load().then(()=> super.delete(id)).then(()=> this.write());
+    }
+
+    write(){
+        return this.json.write(()=> this.installations);
+    }
+}
+
+module.exports = { InstallationStore, MemoryInstallationStore, FileInstallationStore };
@@ -0,0 +1,83 @@
+const JSONFile = require('./JSONFile');
+
+// Where an Outbox keeps messages that haven't been delivered yet, so
+// they're still sent if the bot restarts. An entry looks like:
+//
+// { id, channel, args, options, attempts, queuedAt, timestamps }
+//
+// timestamps are the parts of a long message already posted, if any.
+//
+// A store only has to load, save and delete entries by id, all
+// returning promises; this one keeps nothing.
+class OutboxStore{
+    // Resolves with every entry that's stored
+    load(){
+        return Promise.resolve([]);
+    }
+
+    save(entry){
+        return Promise.resolve();
+    }
+
+    delete(id){
+        return Promise.resolve();
+    }
+}
+
+class MemoryOutboxStore extends OutboxStore{
+    constructor(){
+        super();
+        this.entries = {};
+    }
+
+    load(){
+        return Promise.resolve(Object.keys(this.entries).map((id)=> this.entries[id]));
+    }
+
+    save(entry){
+        this.entries[entry.id] = entry;
+
+        return Promise.resolve();
+    }
+
+    delete(id){
+        delete this.entries[id];
+
+        return Promise.resolve();
+    }
+}
+
+// Keeps the outbox in a JSON file, saved on every change since the
+// whole point is surviving a restart.
+class FileOutboxStore extends MemoryOutboxStore{
+    constructor(file){
+        super();
+        this.json   = new JSONFile(file);
+        this.file   = this.json.file;
+        this.loaded = null;
+    }
+
+    read(){
+        if(!this.loaded){
+            this.loaded = this.json.read().then((entries)=>{
+                if(entries) this.entries = entries;
+            });
+        }
+
+        return this.loaded;
+    }
+
+    load(){
+        return this.read().then(()=> super.load());
+    }
+
+    save(entry){
+        return this.read().then(()=> super.save(entry)).then(()=> this.json.write(()=> this.entries));
+    }
+
+    delete(id){
+        return this.read().then(()=> super.delete(id)).then(()=> this.json.write(()=> this.entries));
+    }
+}
+
+module.exports = { OutboxStore, MemoryOutboxStore, FileOutboxStore };
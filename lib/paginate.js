@@ -0,0 +1,55 @@
+function getNextPageArgs(args, page){
+    const cursor = page.response_metadata && page.response_metadata.next_cursor;
+
+    if(cursor){
+        return Object.assign({}, args, {cursor});
+    }
+
+    // History methods page backwards through time instead, starting
+    // from the oldest message we've seen so far.
+    if(page.has_more && Array.isArray(page.messages) && page.messages.length){
+        return Object.assign({}, args, {latest: page.messages[page.messages.length-1].ts});
+    }
+
+    return null;
+}
+
+// Finds the property holding the page's results, since it isn't
+// always named after the method (users.list gives you 'members').
+function getItemsKey(page){
+    for(let key of Object.keys(page)){
+        if(Array.isArray(page[key])){
+            return key;
+        }
+    }
+
+    return null;
+}
+
+async function* paginate(request, args = {}){
+    let pageArgs = Object.assign({}, args);
+
+    while(pageArgs){
+        const page = await request(pageArgs);
+
+        yield page;
+
+        pageArgs = getNextPageArgs(pageArgs, page);
+    }
+}
+
+async function collect(request, args = {}, key){
+    let items = [];
+
+    for await (let page of paginate(request, args)){
+        key = key || getItemsKey(page);
+
+        if(key && Array.isArray(page[key])){
+            items = items.concat(page[key]);
+        }
+    }
+
+    return items;
+}
+
+module.exports = { paginate, collect };
\ No newline at end of file
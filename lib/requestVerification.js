@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+const VERSION = 'v0';
+
+// Reads the body exactly as Slack sent it, since the signature is
+// over the raw bytes. Frameworks that already consumed the stream
+// can leave it on req.rawBody instead.
+function readRawBody(req){
+    if(req.rawBody != null){
+        return Promise.resolve(req.rawBody.toString());
+    }
+
+    return new Promise((resolve, reject)=>{
+        let chunks = [];
+
+        req.on('data', (chunk)=> chunks.push(chunk));
+        req.on('end', ()=> resolve(Buffer.concat(chunks).toString()));
+        req.on('error', reject);
+    });
+}
+
+// Returns the reason a request should be rejected, or null if it
+// really came from Slack within the last maxAge ms.
+function verifySignature(signingSecret, headers, body, maxAge = 5*60*1000){
+    const signature = headers['x-slack-signature'];
+    const timestamp = parseInt(headers['x-slack-request-timestamp'], 10);
+
+    if(!signature || !timestamp){
+        return 'missing signature';
+    }
+
+    // Anything older than this could be a replayed request
+    if(Math.abs(Date.now() - timestamp*1000) > maxAge){
+        return 'stale timestamp';
+    }
+
+    const hmac     = crypto.createHmac('sha256', signingSecret).update(`${VERSION}:${timestamp}:${body}`);
+    const expected = Buffer.from(`${VERSION}=${hmac.digest('hex')}`);
+    const actual   = Buffer.from(signature);
+
+    if(expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)){
+        return 'invalid signature';
+    }
+
+    return null;
+}
+
+function sendJSON(res, statusCode, json){
+    res.writeHead(statusCode, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(json));
+}
+
+module.exports = { readRawBody, verifySignature, sendJSON };
\ No newline at end of file
@@ -1,44 +1,175 @@
-const config  = require('../config/');
-const request = require('request');
+const request       = require('request');
+const RequestQueue  = require('./RequestQueue');
+const clientOptions = require('./clientOptions');
 
-function createSlackRequestUrl(method, properties = {}){
-    let base_url = config.base_url+method;
-    let args     = [];
+const { SlackAPIError, SlackHTTPError, SlackRateLimitError, SlackNetworkError } = require('./SlackError');
 
-    for(let property of Object.keys(properties)){
-        let value = properties[property];
-        if(typeof value != 'string'){
-            value = JSON.stringify(value);
+function isStream(value){
+    return value != null && typeof value.pipe === 'function';
+}
+
+function isFile(value){
+    return Buffer.isBuffer(value) || isStream(value);
+}
+
+function serializeValue(value){
+    return (typeof value == 'string') ? value : JSON.stringify(value);
+}
+
+// Options request needs for anything sent to Slack, see clientOptions
+function getTransportOptions(requestOptions, method){
+    const options = {
+        timeout : clientOptions.getTimeout(requestOptions, method),
+        headers : {'User-Agent': requestOptions.userAgent || clientOptions.DEFAULT_USER_AGENT}
+    };
+
+    if(requestOptions.agent) options.agent = requestOptions.agent;
+    if(requestOptions.proxy) options.proxy = requestOptions.proxy;
+
+    return options;
+}
+
+function createSlackRequestOptions(method, properties = {}, meta = {}, requestOptions = {}){
+    let args    = Object.assign({}, properties);
+    let options = Object.assign({
+        url     : clientOptions.getBaseUrl(requestOptions)+method,
+        method  : meta.verb || 'POST',
+        json    : true
+    }, getTransportOptions(requestOptions, method));
+
+    // The token goes in a header so it never ends up in a URL or a log
+    if(args.token){
+        options.headers.Authorization = `Bearer ${args.token}`;
+    }
+
+    delete args.token;
+
+    let keys = Object.keys(args);
+
+    if(keys.some((property)=> isFile(args[property]))){
+        options.formData = {};
+
+        for(let property of keys){
+            let value = args[property];
+
+            if(Buffer.isBuffer(value)){
+                // Buffers don't have a name of their own like file streams do
+                value = {value, options: {filename: args.filename || property}};
+            }else if(!isStream(value)){
+                value = serializeValue(value);
+            }
+
+            options.formData[property] = value;
+        }
+    }else if(options.method === 'GET'){
+        options.qs = {};
+
+        for(let key of keys){
+            options.qs[key] = serializeValue(args[key]);
         }
-        args.push(`${property}=${encodeURIComponent(value)}`);
+    }else if(meta.json){
+        options.headers['Content-Type'] = 'application/json; charset=utf-8';
+        options.body = args;
+    }else{
+        options.form = {};
+
+        for(let property of keys){
+            options.form[property] = serializeValue(args[property]);
+        }
+    }
+
+    return options;
+}
+
+// A stream can only be read once, so a request that uploaded
+// one can't be sent again.
+function markStreamed(error, args){
+    if(Object.keys(args).some((property)=> isStream(args[property]))){
+        error.retryable = false;
     }
 
-    return `${base_url}?${args.join('&')}`;
+    return error;
 }
 
-function makeSlackRequest(url, args = {}){
-    // Callback is (<Boolean>success, <?>result)
+// Sends a single request without any queueing or retries. Anything
+// that isn't a successful response is rejected as a SlackError, and
+// the queue decides whether it's worth retrying.
+function sendSlackRequest(method, args = {}, meta = {}, requestOptions = {}){
+    const log = requestOptions.logger;
+
+    if(log) log.debug(`Sending ${method}`);
+
     return new Promise((resolve, reject)=>{
-        request({url: createSlackRequestUrl(url, args), json: true}, (err, res, body)=>{
-            // If there's a request error/response statusCode that isn't 200, callback(false, [err])
+        request(createSlackRequestOptions(method, args, meta, requestOptions), (err, res, body)=>{
             if(err){
-                return reject(err);
+                return reject(markStreamed(new SlackNetworkError(method, err), args));
             }
 
-            if(res.statusCode !== 200){
-                return reject((body) ? ((body.error) ? `${res.statusCode}: ${body.error}` : res.statusCode) : res.statusCode + ': Unknown Error (no body)');
+            if(res.statusCode === 429){
+                return reject(markStreamed(new SlackRateLimitError(method, res.statusCode, res.headers, body), args));
+            }
+
+            if(res.statusCode !== 200 || !body || typeof body !== 'object'){
+                return reject(markStreamed(new SlackHTTPError(method, res.statusCode, res.headers, body), args));
             }
 
             // If body.ok is false then we tell them that all is not ok
             // and give them the error in the body.
             if(!body.ok){
-                return reject(body.error);
+                return reject(new SlackAPIError(method, body));
             }
 
-            // Otherwise it's good to go
+            if(log && body.warning) log.warn(`${method} warned: ${body.warning}`);
+
             resolve(body);
         });
+    }).catch((e)=>{
+        if(log) log.debug(e.message);
+
+        throw e;
     });
 }
 
-exports.makeRequest = makeSlackRequest;
\ No newline at end of file
+// response_urls from commands and interactions aren't API methods,
+// they don't need a token and aren't rate limited by tier, so these
+// skip the queue.
+function sendResponseUrl(url, message, requestOptions = {}){
+    const body = (typeof message === 'string') ? {text: message} : message;
+
+    return new Promise((resolve, reject)=>{
+        request(Object.assign({url, method: 'POST', json: true, body}, getTransportOptions(requestOptions, 'response_url')), (err, res, result)=>{
+            if(err){
+                return reject(new SlackNetworkError('response_url', err));
+            }
+
+            if(res.statusCode !== 200){
+                return reject(new SlackHTTPError('response_url', res.statusCode, res.headers, result));
+            }
+
+            if(result && result.ok === false){
+                return reject(new SlackAPIError('response_url', result));
+            }
+
+            resolve(result);
+        });
+    });
+}
+
+// options.request are the options requests are sent with (base url,
+// timeouts...), everything else is for the queue.
+function createRequestQueue(options = {}){
+    const requestOptions = options.request || {};
+
+    return new RequestQueue((method, args, meta)=> sendSlackRequest(method, args, meta, requestOptions), options);
+}
+
+const defaultQueue = createRequestQueue();
+
+function makeSlackRequest(method, args = {}, queue = defaultQueue){
+    return queue.push(method, args);
+}
+
+exports.makeRequest  = makeSlackRequest;
+exports.respond      = sendResponseUrl;
+exports.createQueue  = createRequestQueue;
+exports.defaultQueue = defaultQueue;
\ No newline at end of file
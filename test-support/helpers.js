@@ -0,0 +1,33 @@
+const http   = require('http');
+const crypto = require('crypto');
+
+// Signs a body the way Slack does, see requestVerification
+function sign(signingSecret, body, timestamp = Math.floor(Date.now()/1000)){
+    const hmac = crypto.createHmac('sha256', signingSecret).update(`v0:${timestamp}:${body}`);
+
+    return {
+        'x-slack-request-timestamp' : String(timestamp),
+        'x-slack-signature'         : `v0=${hmac.digest('hex')}`
+    };
+}
+
+// POSTs to a receiver's server, resolving with {statusCode, headers, body}
+function post(server, path, body, headers = {}){
+    return new Promise((resolve, reject)=>{
+        const req = http.request({host: '127.0.0.1', port: server.address().port, path, method: 'POST', headers}, (res)=>{
+            let data = '';
+
+            res.on('data', (chunk)=> data += chunk);
+            res.on('end', ()=> resolve({statusCode: res.statusCode, headers: res.headers, body: data}));
+        });
+
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+function postSigned(server, path, signingSecret, body, headers = {}){
+    return post(server, path, body, Object.assign(sign(signingSecret, body), headers));
+}
+
+module.exports = { sign, post, postSigned };
@@ -0,0 +1,153 @@
+const test     = require('node:test');
+const assert   = require('assert');
+const BlockKit = require('../lib/BlockKit');
+
+const { LIMITS } = BlockKit;
+
+function chars(n){
+    return 'x'.repeat(n);
+}
+
+function times(n, make){
+    return Array.from({length: n}, (v, i)=> make(i));
+}
+
+function modal(view = {}){
+    return BlockKit.modal(Object.assign({title: 'Cats'}, view));
+}
+
+test('strings become text objects, text objects are left alone', ()=>{
+    const blocks = new BlockKit()
+        .header('Cats')
+        .section('*meow*', {fields: ['one', {type: 'plain_text', text: 'two'}], block_id: 'cats'})
+        .context(['a', 'b'])
+        .image('https://example.com/cat.png', 'A cat', {title: 'Cat'})
+        .build();
+
+    assert.deepStrictEqual(blocks[0].text, {type: 'plain_text', text: 'Cats', emoji: true});
+    assert.deepStrictEqual(blocks[1], {
+        type     : 'section',
+        text     : {type: 'mrkdwn', text: '*meow*'},
+        fields   : [{type: 'mrkdwn', text: 'one'}, {type: 'plain_text', text: 'two'}],
+        block_id : 'cats'
+    });
+    assert.deepStrictEqual(blocks[2].elements.map((element)=> element.type), ['mrkdwn', 'mrkdwn']);
+    assert.deepStrictEqual(blocks[3].title, {type: 'plain_text', text: 'Cat', emoji: true});
+});
+
+test('options from objects, [text, value] or just text', ()=>{
+    const select = BlockKit.staticSelect('Pick a cat', 'cat', ['Tom', ['Felix', 2], BlockKit.plainText('Kitty'), {text: BlockKit.plainText('Puss'), value: 'boots'}]);
+
+    assert.deepStrictEqual(select.options.map((item)=> [item.text.text, item.value]), [
+        ['Tom', 'Tom'],
+        ['Felix', '2'],
+        ['Kitty', 'Kitty'],
+        ['Puss', 'boots']
+    ]);
+
+    assert.deepStrictEqual(BlockKit.option('Tom', 'tom', 'The cat').description, {type: 'plain_text', text: 'The cat', emoji: true});
+});
+
+test('modals and home tabs build the whole view', ()=>{
+    const view = modal({submit: 'Save', callback_id: 'cats', private_metadata: {channel: 'C1'}})
+        .input('Name', BlockKit.textInput('name'), {hint: 'What to call it'})
+        .build();
+
+    assert.deepStrictEqual(view.title, {type: 'plain_text', text: 'Cats', emoji: true});
+    assert.deepStrictEqual(view.submit, {type: 'plain_text', text: 'Save', emoji: true});
+    assert.strictEqual(view.type, 'modal');
+    assert.strictEqual(view.private_metadata, '{"channel":"C1"}');
+    assert.strictEqual(view.blocks[0].hint.text, 'What to call it');
+
+    assert.deepStrictEqual(BlockKit.home().divider().build(), {type: 'home', blocks: [{type: 'divider'}]});
+});
+
+test("what's required, and block ids used twice", ()=>{
+    assert.deepStrictEqual(BlockKit.validate([
+        {type: 'section'},
+        {type: 'header', block_id: 'a'},
+        {type: 'actions', elements: [], block_id: 'a'},
+        {type: 'input', label: 'Name'},
+        {type: 'image', image_url: 'https://example.com/cat.png'}
+    ]), [
+        'blocks[0] needs text or fields',
+        'blocks[1].text is required',
+        'blocks[2].block_id "a" is used more than once',
+        'blocks[2].elements needs at least one item',
+        'blocks[3].element is required',
+        'blocks[4].alt_text is required'
+    ]);
+
+    assert.deepStrictEqual(BlockKit.modal().input('Name', BlockKit.textInput('name')).validate(), [
+        'title is required',
+        'submit is required when a modal has input blocks'
+    ]);
+
+    assert.deepStrictEqual(BlockKit.validate([{type: 'divider'}]), []);
+});
+
+// For each limit: builds with n of something, and the problem when n is one too many
+const limits = {
+    blockId         : [(n)=> new BlockKit().divider({block_id: chars(n)}), 'blocks[0].block_id is longer than 255 characters'],
+    actionId        : [(n)=> new BlockKit().actions(BlockKit.button('Go', chars(n))), 'blocks[0].elements[0].action_id is longer than 255 characters'],
+    sectionText     : [(n)=> new BlockKit().section(chars(n)), 'blocks[0].text is longer than 3000 characters'],
+    fields          : [(n)=> new BlockKit().section(null, {fields: times(n, ()=> 'cat')}), 'blocks[0].fields has more than 10 items'],
+    fieldText       : [(n)=> new BlockKit().section(null, {fields: [chars(n)]}), 'blocks[0].fields[0] is longer than 2000 characters'],
+    headerText      : [(n)=> new BlockKit().header(chars(n)), 'blocks[0].text is longer than 150 characters'],
+    imageUrl        : [(n)=> new BlockKit().image(chars(n), 'A cat'), 'blocks[0].image_url is longer than 3000 characters'],
+    altText         : [(n)=> new BlockKit().image('https://example.com/cat.png', chars(n)), 'blocks[0].alt_text is longer than 2000 characters'],
+    imageTitle      : [(n)=> new BlockKit().image('https://example.com/cat.png', 'A cat', {title: chars(n)}), 'blocks[0].title is longer than 2000 characters'],
+    contextElements : [(n)=> new BlockKit().context(times(n, ()=> 'cat')), 'blocks[0].elements has more than 10 items'],
+    actionElements  : [(n)=> new BlockKit().actions(times(n, (i)=> BlockKit.button('Go', `go-${i}`))), 'blocks[0].elements has more than 25 items'],
+    label           : [(n)=> new BlockKit().input(chars(n), BlockKit.textInput('name')), 'blocks[0].label is longer than 2000 characters'],
+    hint            : [(n)=> new BlockKit().input('Name', BlockKit.textInput('name'), {hint: chars(n)}), 'blocks[0].hint is longer than 2000 characters'],
+    placeholder     : [(n)=> new BlockKit().actions(BlockKit.staticSelect(chars(n), 'cat', ['Tom'])), 'blocks[0].elements[0].placeholder is longer than 150 characters'],
+    buttonText      : [(n)=> new BlockKit().actions(BlockKit.button(chars(n), 'go')), 'blocks[0].elements[0].text is longer than 75 characters'],
+    buttonValue     : [(n)=> new BlockKit().actions(BlockKit.button('Go', 'go', {value: chars(n)})), 'blocks[0].elements[0].value is longer than 2000 characters'],
+    buttonUrl       : [(n)=> new BlockKit().actions(BlockKit.button('Go', 'go', {url: chars(n)})), 'blocks[0].elements[0].url is longer than 3000 characters'],
+    optionText      : [(n)=> new BlockKit().actions(BlockKit.staticSelect('Pick', 'cat', [chars(n)])), 'blocks[0].elements[0].options[0].text is longer than 75 characters'],
+    optionValue     : [(n)=> new BlockKit().actions(BlockKit.staticSelect('Pick', 'cat', [['Tom', chars(n)]])), 'blocks[0].elements[0].options[0].value is longer than 150 characters'],
+    options         : [(n)=> new BlockKit().actions(BlockKit.staticSelect('Pick', 'cat', times(n, String))), 'blocks[0].elements[0].options has more than 100 items'],
+    overflowOptions : [(n)=> new BlockKit().actions(BlockKit.overflow('more', times(n, String))), 'blocks[0].elements[0].options has more than 5 items'],
+    viewTitle       : [(n)=> modal({title: chars(n)}), 'title is longer than 24 characters'],
+    viewButton      : [(n)=> modal({submit: chars(n)}), 'submit is longer than 24 characters'],
+    callbackId      : [(n)=> modal({callback_id: chars(n)}), 'callback_id is longer than 255 characters'],
+    privateMetadata : [(n)=> modal({private_metadata: chars(n)}), 'private_metadata is longer than 3000 characters']
+};
+
+const blockLimits = {
+    message : [()=> new BlockKit(), 'blocks has more than 50 items'],
+    modal   : [()=> modal(), 'blocks has more than 100 items'],
+    home    : [()=> BlockKit.home(), 'blocks has more than 100 items']
+};
+
+function assertLimit(max, build, problem){
+    assert.doesNotThrow(()=> build(max).build(), `${max} should fit`);
+
+    assert.throws(()=> build(max + 1).build(), (e)=>{
+        assert.strictEqual(e.name, 'SlackBlockError');
+        assert.strictEqual(e.code, 'invalid_blocks');
+        assert.deepStrictEqual(e.problems, [problem]);
+        assert.strictEqual(e.message, `Invalid blocks: ${problem}`);
+
+        return true;
+    });
+}
+
+test('every limit throws a SlackBlockError when it is gone over', ()=>{
+    assert.deepStrictEqual(Object.keys(limits).concat('blocks').sort(), Object.keys(LIMITS).sort());
+
+    for(let [name, [build, problem]] of Object.entries(limits)){
+        assertLimit(LIMITS[name], build, problem);
+    }
+
+    for(let [surface, [create, problem]] of Object.entries(blockLimits)){
+        assertLimit(LIMITS.blocks[surface], (n)=>{
+            const kit = create();
+
+            times(n, ()=> kit.divider());
+
+            return kit;
+        }, problem);
+    }
+});
@@ -0,0 +1,104 @@
+const test          = require('node:test');
+const assert        = require('assert');
+const EventReceiver = require('../lib/EventReceiver');
+
+const { sign, post, postSigned } = require('../test-support/helpers');
+
+const SECRET = 'cats-are-secret';
+
+async function startReceiver(t, options = {}){
+    const receiver = new EventReceiver(Object.assign({signingSecret: SECRET}, options));
+    const server   = await receiver.listen(0, '127.0.0.1');
+
+    t.after(()=> receiver.close());
+
+    return {receiver, server};
+}
+
+function eventPayload(eventId, event = {type: 'reaction_added', reaction: 'cat'}){
+    return JSON.stringify({type: 'event_callback', event_id: eventId, event});
+}
+
+test('answers url_verification challenges', async (t)=>{
+    const {server} = await startReceiver(t);
+
+    const res = await postSigned(server, '/slack/events', SECRET, JSON.stringify({type: 'url_verification', challenge: 'meow'}));
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(JSON.parse(res.body), {challenge: 'meow'});
+});
+
+test('emits signed events', async (t)=>{
+    const {receiver, server} = await startReceiver(t);
+    const received           = new Promise((resolve)=> receiver.once('event', (...args)=> resolve(args)));
+
+    const res = await postSigned(server, '/slack/events', SECRET, eventPayload('Ev1'));
+    assert.strictEqual(res.statusCode, 200);
+
+    const [type, event, payload] = await received;
+    assert.strictEqual(type, 'reaction_added');
+    assert.strictEqual(event.reaction, 'cat');
+    assert.strictEqual(payload.event_id, 'Ev1');
+});
+
+test('rejects unsigned, wrongly signed and stale requests', async (t)=>{
+    const {receiver, server} = await startReceiver(t);
+    const rejected           = [];
+    const body               = eventPayload('Ev1');
+
+    receiver.on('requestRejected', (reason)=> rejected.push(reason));
+    receiver.on('event', ()=> assert.fail('Rejected requests should not be emitted'));
+
+    const unsigned = await post(server, '/slack/events', body);
+    const forged   = await post(server, '/slack/events', body, sign('not-the-secret', body));
+    const tampered = await post(server, '/slack/events', eventPayload('Ev2'), sign(SECRET, body));
+
+    // Outside the 5 minute replay window, even with the right secret
+    const stale    = await post(server, '/slack/events', body, sign(SECRET, body, Math.floor(Date.now()/1000) - 10*60));
+
+    assert.deepStrictEqual([unsigned, forged, tampered, stale].map((res)=> res.statusCode), [401, 401, 401, 401]);
+    assert.deepStrictEqual(rejected, ['missing signature', 'invalid signature', 'invalid signature', 'stale timestamp']);
+});
+
+test('the replay window can be changed with maxAge', async (t)=>{
+    const {server} = await startReceiver(t, {maxAge: 60*60*1000});
+    const body     = eventPayload('Ev1');
+
+    const res = await post(server, '/slack/events', body, sign(SECRET, body, Math.floor(Date.now()/1000) - 10*60));
+
+    assert.strictEqual(res.statusCode, 200);
+});
+
+test("Slack's retries of an event are only emitted once", async (t)=>{
+    const {receiver, server} = await startReceiver(t);
+    const events             = [];
+    const duplicates         = [];
+
+    receiver.on('event', (type, event, payload)=> events.push(payload.event_id));
+    receiver.on('duplicate', (payload)=> duplicates.push(payload.event_id));
+
+    await postSigned(server, '/slack/events', SECRET, eventPayload('Ev1'));
+    await postSigned(server, '/slack/events', SECRET, eventPayload('Ev1'), {'x-slack-retry-num': '1'});
+    await postSigned(server, '/slack/events', SECRET, eventPayload('Ev2'));
+
+    assert.deepStrictEqual(events, ['Ev1', 'Ev2']);
+    assert.deepStrictEqual(duplicates, ['Ev1']);
+});
+
+test('events are forgotten after the dedupe window', ()=>{
+    const receiver = new EventReceiver({signingSecret: SECRET, dedupeWindow: 1000});
+
+    assert.strictEqual(receiver.isDuplicate('Ev1'), false);
+    assert.strictEqual(receiver.isDuplicate('Ev1'), true);
+
+    receiver.seenEvents.set('Ev1', Date.now() - 2000);
+
+    assert.strictEqual(receiver.isDuplicate('Ev1'), false);
+});
+
+test('only POSTs to the events path are served, and bad json is a 400', async (t)=>{
+    const {server} = await startReceiver(t);
+
+    assert.strictEqual((await postSigned(server, '/somewhere/else', SECRET, eventPayload('Ev1'))).statusCode, 404);
+    assert.strictEqual((await postSigned(server, '/slack/events', SECRET, '{meow')).statusCode, 400);
+});
@@ -0,0 +1,142 @@
+const test              = require('node:test');
+const assert            = require('assert');
+const http              = require('http');
+const querystring       = require('querystring');
+const InteractionRouter = require('../lib/InteractionRouter');
+
+const { postSigned } = require('../test-support/helpers');
+
+const SECRET = 'cats-are-secret';
+
+async function startRouter(t, options = {}){
+    const router = new InteractionRouter(Object.assign({signingSecret: SECRET}, options));
+    const server = await router.listen(0, '127.0.0.1');
+
+    t.after(()=> router.close());
+
+    return {router, server};
+}
+
+// Slash commands are posted as a form, everything else as a form with a json payload
+function postCommand(server, command){
+    return postSigned(server, '/slack/interactions', SECRET, querystring.stringify(command));
+}
+
+function postPayload(server, payload){
+    return postSigned(server, '/slack/interactions', SECRET, querystring.stringify({payload: JSON.stringify(payload)}));
+}
+
+test('routes slash commands, with or without the slash', async (t)=>{
+    const {router, server} = await startRouter(t);
+
+    router.command('/deploy', ({payload, ack})=> ack(`Deploying ${payload.text}`));
+    router.command('rollback', ({ack})=> ack({response_type: 'in_channel', text: 'Rolling back'}));
+
+    const deploy   = await postCommand(server, {command: '/deploy', text: 'cats'});
+    const rollback = await postCommand(server, {command: '/rollback'});
+
+    assert.deepStrictEqual(JSON.parse(deploy.body), {text: 'Deploying cats'});
+    assert.deepStrictEqual(JSON.parse(rollback.body), {response_type: 'in_channel', text: 'Rolling back'});
+});
+
+test('routes block actions, views and shortcuts', async (t)=>{
+    const {router, server} = await startRouter(t);
+    const handled          = [];
+
+    router.action(/^approve_/, ({action})=> handled.push(`action ${action.value}`));
+    router.view('survey', ({ack})=> ack({response_action: 'clear'}));
+    router.shortcut('file_bug', ()=> handled.push('shortcut'));
+
+    await postPayload(server, {type: 'block_actions', actions: [{action_id: 'other'}, {action_id: 'approve_1', value: 'cat'}]});
+    await postPayload(server, {type: 'shortcut', callback_id: 'file_bug'});
+
+    const view = await postPayload(server, {type: 'view_submission', view: {id: 'V1', callback_id: 'survey'}});
+
+    assert.deepStrictEqual(handled, ['action cat', 'shortcut']);
+    assert.deepStrictEqual(JSON.parse(view.body), {response_action: 'clear'});
+});
+
+test('unhandled interactions are acked and emitted', async (t)=>{
+    const {router, server} = await startRouter(t);
+    const unhandled        = new Promise((resolve)=> router.once('unhandled', resolve));
+
+    const res = await postPayload(server, {type: 'block_actions', actions: [{action_id: 'nobody'}]});
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body, '');
+    assert.strictEqual((await unhandled).actions[0].action_id, 'nobody');
+});
+
+test('slow handlers are acked for, and failing ones too', async (t)=>{
+    const {router, server} = await startRouter(t, {ackTimeout: 50});
+    let finish;
+
+    router.command('/slow', ()=> new Promise((resolve)=> finish = resolve));
+    router.command('/broken', ()=>{
+        throw new Error('Cats everywhere');
+    });
+
+    const slow = await postCommand(server, {command: '/slow'});
+    assert.strictEqual(slow.statusCode, 200);
+    assert.strictEqual(slow.body, '');
+    finish();
+
+    const failed = new Promise((resolve)=> router.once('handlerError', resolve));
+    const broken = await postCommand(server, {command: '/broken'});
+
+    assert.strictEqual(broken.statusCode, 200);
+    assert.strictEqual((await failed).message, 'Cats everywhere');
+});
+
+test("payloads that can't be routed are a 500, and aren't answered again", async (t)=>{
+    const {router, server} = await startRouter(t, {ackTimeout: 20});
+    const rejected         = [];
+
+    router.on('requestRejected', (reason)=> rejected.push(reason));
+
+    // view_submission without a view
+    const res = await postPayload(server, {type: 'view_submission'});
+    assert.strictEqual(res.statusCode, 500);
+
+    // Long enough for an ack timer to have fired, which would throw ERR_HTTP_HEADERS_SENT
+    await new Promise((resolve)=> setTimeout(resolve, 50));
+    assert.strictEqual(rejected.length, 1);
+});
+
+test('respond() posts to the response_url', async (t)=>{
+    const {router, server} = await startRouter(t);
+    const responses        = [];
+
+    const responseServer = http.createServer((req, res)=>{
+        let body = '';
+
+        req.on('data', (chunk)=> body += chunk);
+        req.on('end', ()=>{
+            responses.push({url: req.url, body: JSON.parse(body)});
+            res.writeHead(200);
+            res.end('ok');
+        });
+    });
+
+    await new Promise((resolve)=> responseServer.listen(0, '127.0.0.1', resolve));
+    t.after(()=> new Promise((resolve)=> responseServer.close(resolve)));
+
+    const responseUrl = `http://127.0.0.1:${responseServer.address().port}/commands/T1/1234`;
+    let responded;
+
+    router.command('/deploy', ({ack, respond})=>{
+        ack();
+        responded = respond('Deployed!');
+    });
+    router.command('/nowhere', ({respond})=>{
+        responded = respond('Meow').then(()=> null, (e)=> e);
+    });
+
+    await postCommand(server, {command: '/deploy', response_url: responseUrl});
+    await responded;
+
+    assert.deepStrictEqual(responses, [{url: '/commands/T1/1234', body: {text: 'Deployed!'}}]);
+
+    await postCommand(server, {command: '/nowhere'});
+    assert.match((await responded).message, /no response_url/);
+});
@@ -0,0 +1,170 @@
+const test             = require('node:test');
+const assert           = require('assert');
+const SlackTestHarness = require('../lib/SlackTestHarness');
+
+async function startBot(t){
+    const harness = new SlackTestHarness();
+    const bot     = await harness.start();
+
+    t.after(()=> harness.stop());
+
+    return {harness, bot};
+}
+
+// Resolves once a message with this text has been through the pipeline.
+// Messages from the same person in the same channel are handled in the
+// order they arrive, so anything sent before it has been handled (or
+// skipped) by then.
+function handled(bot, text){
+    return new Promise((resolve)=>{
+        bot.use((ctx, next)=>{
+            if(ctx.text === text) resolve();
+
+            return next();
+        });
+    });
+}
+
+test("skips its own messages, other bots' messages and subtypes", async (t)=>{
+    const {harness, bot} = await startBot(t);
+    const seen           = [];
+
+    bot.use((ctx, next)=>{
+        seen.push(ctx.text);
+
+        return next();
+    });
+
+    const done = handled(bot, 'done');
+
+    harness.message({user: harness.server.self.id, text: 'mine'});
+    harness.message({bot_id: 'B00000001', text: 'beep'});
+    harness.message({subtype: 'bot_message', text: 'boop'});
+    harness.message({subtype: 'channel_join', text: 'joined'});
+    harness.message('done');
+
+    await done;
+
+    assert.deepStrictEqual(seen, ['done']);
+});
+
+test('commands need the prefix in channels, but not when mentioned or DMed', async (t)=>{
+    const {harness, bot} = await startBot(t);
+    const commands       = [];
+    let onCommand        = ()=>{};
+
+    bot.command('ping', (ctx)=>{
+        commands.push([ctx.command, ctx.args, ctx.argText]);
+        onCommand();
+    });
+
+    const done = handled(bot, 'done');
+
+    harness.message('ping nobody asked me');
+    harness.message('!ping a  b');
+    harness.message(`<@${harness.server.self.id}> ping c`);
+    harness.message('!pingpong');
+    harness.message('done');
+
+    await done;
+
+    assert.deepStrictEqual(commands, [
+        ['ping', ['a', 'b'], 'a  b'],
+        ['ping', ['c'], 'c']
+    ]);
+
+    // Looking the DM up takes longer than the cached channel, so it's sent on its own
+    const dm = new Promise((resolve)=> onCommand = resolve);
+
+    harness.message({channel: harness.server.openIm('U00000002').id, text: 'ping'});
+    await dm;
+
+    assert.deepStrictEqual(commands[2], ['ping', [], '']);
+});
+
+test("string patterns don't match inside words, even with punctuation at the ends", async (t)=>{
+    const {harness, bot} = await startBot(t);
+    const heard          = [];
+
+    bot.hears('!help', ()=> heard.push('!help'));
+    bot.hears('c++', ()=> heard.push('c++'));
+    bot.hears('cat', ()=> heard.push('cat'));
+    bot.hears(/remind me to (.+)/i, (ctx)=> heard.push(ctx.match[1]));
+
+    const done = handled(bot, 'done');
+
+    harness.message('concatenate');
+    harness.message('I need !help');
+    harness.message('I love C++');
+    harness.message('a cat!');
+    harness.message('remind me to feed the cat');
+    harness.message('done');
+
+    await done;
+
+    // The cat in the reminder is left alone, only the first match handles a message
+    assert.deepStrictEqual(heard, ['!help', 'c++', 'cat', 'cat']);
+});
+
+test('middleware runs in order and can stop a message', async (t)=>{
+    const {harness, bot} = await startBot(t);
+    const order          = [];
+
+    bot.use((ctx, next)=>{
+        order.push(`first ${ctx.text}`);
+
+        return next();
+    });
+
+    bot.use((ctx, next)=>{
+        if(ctx.text === '!stop') return;
+
+        order.push(`second ${ctx.text}`);
+
+        return next();
+    });
+
+    bot.command('go', (ctx, next)=>{
+        order.push('listener middleware');
+
+        return next();
+    }, ()=> order.push('handler'));
+
+    bot.command('stop', ()=> order.push('stopped handler'));
+
+    const done = handled(bot, 'done');
+
+    harness.message('!stop');
+    harness.message('!go');
+    harness.message('done');
+
+    await done;
+
+    assert.deepStrictEqual(order, ['first !stop', 'first !go', 'second !go', 'listener middleware', 'handler', 'first done', 'second done']);
+});
+
+test('reply stays in threads, starts them, and DMs', async (t)=>{
+    const {harness, bot} = await startBot(t);
+
+    bot.command('plain', ({reply})=> reply('plain'));
+    bot.command('thread', ({reply})=> reply('threaded', {thread: true}));
+    bot.command('secret', ({reply})=> reply({text: 'psst'}, {direct: true}));
+
+    const parent = harness.message('!thread');
+    const reply  = await harness.waitForMessage({text: 'threaded'});
+
+    assert.strictEqual(reply.thread_ts, parent.ts);
+
+    // Already in a thread, so the reply goes there without asking
+    harness.message({text: '!plain', thread_ts: parent.ts});
+    assert.strictEqual((await harness.waitForMessage({text: 'plain'})).thread_ts, parent.ts);
+
+    harness.message('!plain');
+    assert.strictEqual((await harness.waitForMessage({text: 'plain'})).thread_ts, undefined);
+
+    harness.message('!secret');
+    const secret = await harness.waitForMessage({text: 'psst'});
+
+    assert.strictEqual(secret.channel, harness.server.openIm('U00000002').id);
+    assert.strictEqual(secret.thread_ts, undefined);
+});
@@ -0,0 +1,78 @@
+const test             = require('node:test');
+const assert           = require('assert');
+const MethodRegistry   = require('../lib/MethodRegistry');
+const SlackTestHarness = require('../lib/SlackTestHarness');
+
+async function startBot(t, botOptions){
+    const harness = new SlackTestHarness({botOptions});
+    const bot     = await harness.start({rtm: false});
+
+    t.after(()=> harness.stop());
+
+    return {harness, bot};
+}
+
+test("methods carry their metadata, and ones we don't know are tier 3 POSTs", ()=>{
+    const registry = new MethodRegistry();
+
+    assert.strictEqual(registry.get('users.list').tier, 2);
+    assert.strictEqual(registry.get('users.list').paginated, 'cursor');
+    assert.strictEqual(registry.get('channels.list').deprecated, 'conversations.list');
+
+    assert.strictEqual(registry.has('cats.meow'), false);
+    assert.deepStrictEqual(registry.get('cats.meow'), Object.assign({name: 'cats.meow'}, MethodRegistry.DEFAULTS));
+
+    registry.register('cats.meow', {tier: 1, required: ['cat']});
+
+    assert.strictEqual(registry.getTier('cats.meow'), 1);
+    assert.strictEqual(registry.get('cats.meow').verb, 'POST');
+    assert.ok(registry.names().includes('cats.meow'));
+});
+
+test('missing arguments, where any one of a group will do', ()=>{
+    const registry = new MethodRegistry();
+    const content  = ['text', 'blocks', 'attachments'];
+
+    assert.deepStrictEqual(registry.getMissingArguments('chat.postMessage', {}), ['channel', content]);
+    assert.deepStrictEqual(registry.getMissingArguments('chat.postMessage', {channel: 'C1'}), [content]);
+    assert.deepStrictEqual(registry.getMissingArguments('chat.postMessage', {channel: 'C1', blocks: []}), []);
+    assert.deepStrictEqual(registry.getMissingArguments('chat.postMessage', {channel: null, attachments: []}), ['channel']);
+    assert.deepStrictEqual(registry.getMissingArguments('cats.meow'), []);
+});
+
+test('calls missing arguments are rejected without sending anything', async (t)=>{
+    const {harness, bot} = await startBot(t);
+
+    await assert.rejects(bot.methods.chat.postMessage({channel: 'C00000001'}), {
+        name    : 'SlackArgumentError',
+        code    : 'missing_argument',
+        message : 'chat.postMessage is missing required arguments: text or blocks or attachments',
+        missing : [['text', 'blocks', 'attachments']]
+    });
+
+    await assert.rejects(bot.methods.users.info(), {name: 'SlackArgumentError', missing: ['user']});
+    assert.strictEqual(harness.calls.length, 0);
+
+    await bot.methods.chat.postMessage({channel: 'C00000001', blocks: [{type: 'divider'}]});
+    assert.strictEqual(harness.callsTo('chat.postMessage').length, 1);
+});
+
+test('registering a method with new metadata changes how it is called and queued', async (t)=>{
+    const {bot} = await startBot(t, {queue: {limits: {1: 1}}});
+
+    bot.methods.register('cats.meow', {tier: 2, required: ['cat']});
+
+    assert.strictEqual(typeof bot.methods.cats.meow, 'function');
+    await assert.rejects(bot.methods.cats.meow(), {name: 'SlackArgumentError', missing: ['cat']});
+
+    // auth.test is tier 4 until it's told otherwise, tier 1 only allows one a minute
+    bot.methods.register('auth.test', {tier: 1});
+
+    await bot.methods.auth.test();
+    bot.methods.auth.test();
+
+    assert.strictEqual(bot.queue.depth(1), 1);
+    assert.strictEqual(bot.queue.depth(4), 0);
+
+    clearTimeout(bot.queue.buckets['auth.test'].timer);
+});
@@ -0,0 +1,142 @@
+const test             = require('node:test');
+const assert           = require('assert');
+const fs               = require('fs');
+const os               = require('os');
+const path             = require('path');
+const SlackTestHarness = require('../lib/SlackTestHarness');
+
+const { FileOutboxStore } = require('../lib/outboxStores');
+
+// Outbox retries here come straight from the outbox, not the request queue
+async function startBot(t, outbox = {}){
+    const harness = new SlackTestHarness({botOptions: {queue: {maxRetries: 0, limits: {special: Infinity}}, outbox: Object.assign({retryDelay: 10}, outbox)}});
+    const bot     = await harness.start({rtm: false});
+
+    t.after(()=> harness.stop());
+
+    return {harness, bot};
+}
+
+function drained(bot){
+    return new Promise((resolve)=> bot.outbox.once('drain', resolve));
+}
+
+function tempFile(t){
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'frozor-slack-'));
+
+    t.after(()=> fs.rmSync(dir, {recursive: true, force: true}));
+
+    return path.join(dir, 'outbox.json');
+}
+
+test('messages are retried with backoff, in order by channel', async (t)=>{
+    const {harness, bot} = await startBot(t);
+    const retries        = [];
+    const delivered      = [];
+
+    bot.on('messageRetry', (entry, delay)=> retries.push([entry.args.text, entry.attempts, delay]));
+    bot.on('messageDelivered', (entry, res)=> delivered.push([entry.args.text, res.ts]));
+
+    harness.server.failNext('chat.postMessage', {status: 500}, 2);
+
+    const done = drained(bot);
+
+    const entry = await bot.queueMessage('C00000001', 'one');
+    await bot.queueMessage('C00000001', 'two');
+    await done;
+
+    assert.strictEqual(entry.args.token, undefined);
+    assert.deepStrictEqual(retries, [['one', 1, 10], ['one', 2, 20]]);
+    assert.deepStrictEqual(harness.posted.map((message)=> message.text), ['one', 'two']);
+    assert.deepStrictEqual(delivered.map(([text])=> text), ['one', 'two']);
+    assert.strictEqual(bot.outbox.size, 0);
+});
+
+test("errors retrying won't fix fail the message, without holding up the rest", async (t)=>{
+    const {harness, bot} = await startBot(t, {maxAttempts: 2});
+    const failed         = [];
+
+    bot.on('messageFailed', (entry, error)=> failed.push([entry.args.text, entry.attempts, error.code]));
+
+    harness.server.failNext('chat.postMessage', {status: 500}, 2);
+
+    let done = drained(bot);
+
+    await bot.queueMessage('C00000001', 'gives up');
+    await bot.queueMessage('C00000001', 'delivered');
+    await done;
+
+    done = drained(bot);
+
+    await bot.queueMessage('C99999999', 'nowhere');
+    await done;
+
+    assert.deepStrictEqual(failed, [['gives up', 2, undefined], ['nowhere', 1, 'channel_not_found']]);
+    assert.deepStrictEqual(harness.posted.map((message)=> message.text), ['delivered']);
+
+    await assert.rejects(bot.queueMessage(undefined, 'meow'), {name: 'SlackArgumentError'});
+});
+
+test("a long message that fails partway doesn't post any part twice", async (t)=>{
+    const {harness, bot} = await startBot(t);
+    const text           = Array.from({length: 50}, (v, i)=> `${i}${' meow'.repeat(19)}`).join('\n');
+
+    // The second part fails once ('call' comes before failures are checked)
+    let calls = 0;
+    harness.server.on('call', (method)=>{
+        if(method === 'chat.postMessage' && ++calls === 2) harness.server.failNext('chat.postMessage', {status: 500});
+    });
+
+    const done = drained(bot);
+
+    await bot.queueMessage('C00000001', text, {thread: true});
+    await done;
+
+    const texts = harness.posted.map((message)=> message.text);
+
+    assert.strictEqual(texts.length, 2);
+    assert.strictEqual(new Set(texts).size, 2);
+    assert.strictEqual(harness.posted[1].thread_ts, harness.posted[0].ts);
+    assert.strictEqual(texts.join('\n'), text);
+});
+
+test('the outbox is kept in a file, and picked up again after a restart', async (t)=>{
+    const file = tempFile(t);
+
+    const {harness, bot} = await startBot(t, {store: new FileOutboxStore(file)});
+
+    // Nothing's delivered while it's stopped, but it's saved
+    bot.outbox.stop();
+
+    const entry = await bot.queueMessage('C00000001', 'survives');
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(file))), [entry.id]);
+    assert.strictEqual(harness.posted.length, 0);
+
+    const restarted = await startBot(t, {store: new FileOutboxStore(file)});
+    const done      = drained(restarted.bot);
+
+    await restarted.bot.outbox.load();
+    await done;
+
+    assert.deepStrictEqual(restarted.harness.posted.map((message)=> message.text), ['survives']);
+    await new Promise((resolve)=> setTimeout(resolve, 20));
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file)), {});
+});
+
+test('ephemeral and scheduled messages', async (t)=>{
+    const {harness, bot} = await startBot(t);
+
+    await bot.postEphemeral('C00000001', 'U00000002', {text: 'psst', blocks: [{type: 'divider'}]});
+    assert.deepStrictEqual(harness.server.ephemeral.map((message)=> [message.user, message.text]), [['U00000002', 'psst']]);
+
+    const postAt    = new Date(Date.now() + 60*60*1000);
+    const scheduled = await bot.scheduleMessage('C00000001', 'later', postAt);
+
+    assert.strictEqual(scheduled.post_at, Math.floor(postAt.getTime()/1000));
+    assert.deepStrictEqual((await bot.listScheduledMessages()).map((message)=> message.text), ['later']);
+
+    await bot.deleteScheduledMessage('C00000001', scheduled.scheduled_message_id);
+    assert.deepStrictEqual(await bot.listScheduledMessages('C00000001'), []);
+
+    await assert.rejects(bot.scheduleMessage('C00000001', 'too late', new Date(Date.now() - 1000)), {code: 'time_in_past'});
+});
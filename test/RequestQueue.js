@@ -0,0 +1,131 @@
+const test         = require('node:test');
+const assert       = require('assert');
+const RequestQueue = require('../lib/RequestQueue');
+
+const { SlackAPIError, SlackHTTPError, SlackRateLimitError, SlackNetworkError } = require('../lib/SlackError');
+
+// Answers each request with the next of the given bodies or errors, the
+// last one is used for anything after that
+function respondWith(...responses){
+    const sent = [];
+
+    const send = (method, args)=>{
+        const response = responses[Math.min(sent.length, responses.length - 1)];
+        sent.push(method);
+
+        return (response instanceof Error) ? Promise.reject(response) : Promise.resolve(response);
+    };
+
+    return {sent, send};
+}
+
+const OK = {ok: true};
+
+function tick(){
+    return new Promise((resolve)=> setImmediate(resolve));
+}
+
+// Waiting requests would hold the test open for a minute otherwise
+function clearTimers(queue){
+    for(let key of Object.keys(queue.buckets)){
+        clearTimeout(queue.buckets[key].timer);
+    }
+}
+
+test('requests wait for their method to have room', async ()=>{
+    const {sent, send} = respondWith(OK);
+    const queue        = new RequestQueue(send);
+
+    // rtm.start is tier 1, which only allows one a minute
+    queue.push('rtm.start');
+    queue.push('rtm.start');
+    queue.push('auth.test');
+
+    await tick();
+
+    assert.deepStrictEqual(sent, ['rtm.start', 'auth.test']);
+    assert.strictEqual(queue.depth(1), 1);
+    assert.ok(queue.buckets['rtm.start'].timer);
+
+    clearTimers(queue);
+});
+
+test('methods in the same tier have their own limits', async ()=>{
+    const {sent, send} = respondWith(OK);
+    const queue        = new RequestQueue(send, {limits: {3: 1}});
+
+    queue.push('conversations.info', {channel: 'C1'});
+    queue.push('conversations.info', {channel: 'C2'});
+    queue.push('reactions.add', {channel: 'C1'});
+
+    await tick();
+
+    assert.deepStrictEqual(sent, ['conversations.info', 'reactions.add']);
+    assert.strictEqual(queue.depth(3), 1);
+
+    clearTimers(queue);
+});
+
+test('chat.postMessage is limited per channel', async ()=>{
+    const {sent, send} = respondWith(OK);
+    const queue        = new RequestQueue((method, args)=> send(`${method} ${args.channel}`), {limits: {special: 1}});
+
+    queue.push('chat.postMessage', {channel: 'C1'});
+    queue.push('chat.postMessage', {channel: 'C1'});
+    queue.push('chat.postMessage', {channel: 'C2'});
+
+    await tick();
+
+    assert.deepStrictEqual(sent, ['chat.postMessage C1', 'chat.postMessage C2']);
+    assert.strictEqual(queue.depth('special'), 1);
+
+    clearTimers(queue);
+});
+
+test('429s are retried after Retry-After', async ()=>{
+    const {sent, send} = respondWith(new SlackRateLimitError('auth.test', 429, {'retry-after': '1'}), {ok: true, user_id: 'U1'});
+    const queue        = new RequestQueue(send, {retryDelay: 10});
+    const limited      = [];
+
+    queue.on('rateLimited', (method, retryAfter, tier)=> limited.push({method, retryAfter, tier}));
+
+    const start = Date.now();
+    const auth  = await queue.push('auth.test');
+
+    assert.strictEqual(auth.user_id, 'U1');
+    assert.ok(Date.now() - start >= 1000);
+    assert.deepStrictEqual(limited, [{method: 'auth.test', retryAfter: 1000, tier: 4}]);
+    assert.strictEqual(sent.length, 2);
+});
+
+test('5xx responses are retried with backoff', async ()=>{
+    const {send}  = respondWith(new SlackHTTPError('auth.test', 503), new SlackHTTPError('auth.test', 503), OK);
+    const queue   = new RequestQueue(send, {retryDelay: 10});
+    const retries = [];
+
+    queue.on('retry', (method, attempt, delay)=> retries.push([attempt, delay]));
+
+    await queue.push('auth.test');
+
+    assert.deepStrictEqual(retries, [[1, 10], [2, 20]]);
+});
+
+test('retries give up after maxRetries', async ()=>{
+    const {sent, send} = respondWith(new SlackHTTPError('auth.test', 500));
+
+    await assert.rejects(new RequestQueue(send, {retryDelay: 10, maxRetries: 1}).push('auth.test'), {name: 'SlackHTTPError', statusCode: 500, attempts: 2});
+    assert.strictEqual(sent.length, 2);
+});
+
+test('Slack errors and network errors', async ()=>{
+    // Retrying an ok: false won't change the answer
+    const failing = respondWith(new SlackAPIError('auth.test', {ok: false, error: 'invalid_auth'}));
+
+    await assert.rejects(new RequestQueue(failing.send, {retryDelay: 10}).push('auth.test'), {name: 'SlackAPIError', code: 'invalid_auth', attempts: 1});
+    assert.strictEqual(failing.sent.length, 1);
+
+    const offline = respondWith(new SlackNetworkError('auth.test', Object.assign(new Error('connect ECONNREFUSED'), {code: 'ECONNREFUSED'})));
+
+    await assert.rejects(new RequestQueue(offline.send, {retryDelay: 10, maxRetries: 2}).push('auth.test'), {name: 'SlackNetworkError', code: 'ECONNREFUSED', attempts: 3});
+    assert.strictEqual(offline.sent.length, 3);
+});
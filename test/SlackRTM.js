@@ -0,0 +1,221 @@
+const test     = require('node:test');
+const assert   = require('assert');
+const http     = require('http');
+const SlackRTM = require('../lib/SlackRTM');
+
+const WebSocketServer = require('websocket').server;
+
+// Just enough of Slack's RTM to connect to: says hello, answers pings
+// and messages, and can ask clients to reconnect or drop them.
+class RTMServer{
+    constructor(){
+        this.sockets     = new Set();
+        this.posted      = [];
+        this.ignorePings = false;
+    }
+
+    listen(){
+        this.server   = http.createServer();
+        this.wsServer = new WebSocketServer({httpServer: this.server});
+
+        this.wsServer.on('request', (request)=>{
+            const connection = request.accept(null, request.origin);
+
+            this.sockets.add(connection);
+
+            connection.on('close', ()=> this.sockets.delete(connection));
+            connection.on('message', (message)=> this.handleEvent(connection, JSON.parse(message.utf8Data)));
+
+            connection.sendUTF(JSON.stringify({type: 'hello'}));
+        });
+
+        return new Promise((resolve)=> this.server.listen(0, '127.0.0.1', resolve)).then(()=>{
+            this.url = `ws://127.0.0.1:${this.server.address().port}/`;
+        });
+    }
+
+    handleEvent(connection, event){
+        const reply = (body)=> connection.sendUTF(JSON.stringify(Object.assign({reply_to: event.id}, body)));
+
+        switch(event.type){
+            case 'ping':
+                return (this.ignorePings) ? null : reply({type: 'pong'});
+            case 'message':
+                if(event.channel !== 'C1'){
+                    return reply({ok: false, error: {code: 2, msg: 'channel_not_found'}});
+                }
+
+                this.posted.push(event);
+
+                return reply({ok: true, ts: `${this.posted.length}.000`, text: event.text});
+        }
+    }
+
+    send(event){
+        for(let connection of this.sockets){
+            connection.sendUTF(JSON.stringify(event));
+        }
+    }
+
+    disconnect(){
+        for(let connection of this.sockets){
+            connection.drop();
+        }
+
+        this.sockets.clear();
+    }
+
+    close(){
+        this.disconnect();
+        this.wsServer.shutDown();
+
+        return new Promise((resolve)=> this.server.close(resolve));
+    }
+}
+
+// Connects an RTM client to a new RTMServer, with rtm.start answered
+// by a queue that just hands out the server's url
+async function startRTM(t, options = {}){
+    const server = new RTMServer();
+    await server.listen();
+
+    const starts = [];
+    const queue  = {
+        push: (method, args)=>{
+            starts.push(method);
+
+            return Promise.resolve({ok: true, url: server.url, self: {id: 'U1'}, team: {id: 'T1'}});
+        }
+    };
+
+    const rtm = new SlackRTM('xoxb-cats', 'TEST', queue, Object.assign({reconnectDelay: 10}, options));
+
+    t.after(()=>{
+        rtm.stop();
+
+        return server.close();
+    });
+
+    const connected = once(rtm.socket, 'connected');
+    await rtm.start();
+    await connected;
+
+    return {server, rtm, starts};
+}
+
+function once(emitter, event){
+    return new Promise((resolve)=> emitter.once(event, (...args)=> resolve(args)));
+}
+
+test('reconnects through rtm.start after a goodbye', async (t)=>{
+    const {server, rtm, starts} = await startRTM(t);
+
+    const reconnecting = once(rtm, 'reconnecting');
+    const reconnected  = once(rtm, 'reconnected');
+
+    server.send({type: 'goodbye'});
+
+    const [attempt, delay, reason] = await reconnecting;
+    assert.deepStrictEqual([attempt, delay, reason], [1, 10, 'goodbye']);
+
+    await reconnected;
+    assert.deepStrictEqual(starts, ['rtm.start', 'rtm.start']);
+    assert.strictEqual(rtm.reconnectAttempts, 0);
+});
+
+test('reconnects when the connection drops', async (t)=>{
+    const {server, rtm} = await startRTM(t);
+
+    const reconnecting = once(rtm, 'reconnecting');
+    const reconnected  = once(rtm, 'reconnected');
+
+    server.disconnect();
+
+    const [, , reason] = await reconnecting;
+    assert.match(reason, /socket closed/);
+
+    await reconnected;
+    assert.ok(rtm.socket.isConnected);
+});
+
+test('reconnects when a ping goes unanswered', async (t)=>{
+    const {server, rtm, starts} = await startRTM(t, {pingInterval: 10, pongTimeout: 20});
+
+    server.ignorePings = true;
+
+    const [, , reason] = await once(rtm, 'reconnecting');
+    assert.strictEqual(reason, 'missed pong');
+
+    server.ignorePings = false;
+
+    await once(rtm, 'reconnected');
+    assert.strictEqual(starts.length, 2);
+});
+
+test('socket errors are emitted as socketError instead of throwing', async (t)=>{
+    const {rtm} = await startRTM(t);
+    const error = Object.assign(new Error('read ECONNRESET'), {code: 'ECONNRESET'});
+
+    const emitted = once(rtm, 'socketError');
+    rtm.socket.emit('error', error);
+
+    assert.deepStrictEqual(await emitted, [error]);
+});
+
+test('pings are answered, and stopping stays stopped', async (t)=>{
+    const {server, rtm} = await startRTM(t, {pingInterval: 10});
+
+    await new Promise((resolve)=> rtm.on('event', (type)=> (type === 'pong') && resolve()));
+    assert.strictEqual(rtm.pongTimer, null);
+
+    rtm.on('reconnecting', ()=> assert.fail('Stopping should not reconnect'));
+    rtm.stop();
+    server.disconnect();
+
+    assert.strictEqual(rtm.socket.isConnected, false);
+    assert.strictEqual(rtm.pingTimer, null);
+});
+
+test('sent messages resolve with their reply_to', async (t)=>{
+    const {server, rtm} = await startRTM(t);
+
+    const reply = await rtm.sendMessage('C1', 'meow');
+    assert.strictEqual(reply.ts, '1.000');
+    assert.strictEqual(server.posted[0].text, 'meow');
+    assert.strictEqual(rtm.pendingReplies.size, 0);
+
+    await assert.rejects(rtm.sendMessage('C2', 'meow'), {name: 'SlackRTMError', code: 2, retryable: false});
+});
+
+test('replies that never come time out, and are rejected when the socket closes', async (t)=>{
+    const {server, rtm} = await startRTM(t, {replyTimeout: 50});
+
+    // The server only replies to pings and messages
+    await assert.rejects(rtm.send({type: 'presence_sub', ids: []}), {name: 'SlackRTMError', code: 'reply_timeout'});
+
+    const pending = rtm.send({type: 'presence_sub', ids: []});
+    server.disconnect();
+
+    await assert.rejects(pending, {name: 'SlackRTMError', code: 'connection_closed', retryable: true});
+    await once(rtm, 'reconnected');
+});
+
+test('a proxy without an agent fails to start instead of connecting around it', async (t)=>{
+    const starts = [];
+    const rtm    = new SlackRTM('xoxb-cats', 'TEST', {push: (method)=> starts.push(method)}, {proxy: 'http://127.0.0.1:3128', logLevel: 'silent'});
+
+    await assert.rejects(rtm.start(), /can't use the proxy option/);
+    assert.deepStrictEqual(starts, []);
+
+    // With an agent there's a way through the proxy, here just a plain one
+    const {rtm: proxied} = await startRTM(t, {proxy: 'http://127.0.0.1:3128', agent: new http.Agent()});
+    assert.ok(proxied.socket.isConnected);
+});
+
+test('sending while disconnected fails straight away', async (t)=>{
+    const {rtm} = await startRTM(t);
+
+    rtm.stop();
+
+    await assert.rejects(rtm.sendMessage('C1', 'meow'), {name: 'SlackRTMError', code: 'not_connected'});
+});
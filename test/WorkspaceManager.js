@@ -0,0 +1,144 @@
+const test             = require('node:test');
+const assert           = require('assert');
+const http             = require('http');
+const url              = require('url');
+const config           = require('../config/');
+const WorkspaceManager = require('../lib/WorkspaceManager');
+const MockSlackServer  = require('../lib/MockSlackServer');
+
+function get(server, path){
+    return new Promise((resolve, reject)=>{
+        http.get({host: '127.0.0.1', port: server.address().port, path}, (res)=>{
+            let body = '';
+
+            res.on('data', (chunk)=> body += chunk);
+            res.on('end', ()=> resolve({statusCode: res.statusCode, headers: res.headers, body}));
+        }).on('error', reject);
+    });
+}
+
+// A manager installing against a MockSlackServer
+async function startManager(t, options = {}){
+    const slack = new MockSlackServer();
+    await slack.listen();
+
+    const manager = new WorkspaceManager(Object.assign({
+        clientId      : '1234.5678',
+        clientSecret  : 'cats-are-secret',
+        scopes        : ['chat:write', 'users:read'],
+        clientOptions : {baseUrl: slack.url, logLevel: 'silent'}
+    }, options));
+
+    const server = await manager.listen(0, '127.0.0.1');
+
+    t.after(async ()=>{
+        for(let id of manager.clients.keys()) manager.removeClient(id);
+
+        await manager.close();
+        await slack.close();
+    });
+
+    return {slack, manager, server};
+}
+
+test('the install path redirects to Slack with a state', async (t)=>{
+    const {manager, server} = await startManager(t);
+
+    const res      = await get(server, '/slack/install');
+    const location = url.parse(res.headers.location, true);
+
+    assert.strictEqual(res.statusCode, 302);
+    assert.ok(res.headers.location.startsWith(config.oauth_url));
+    assert.strictEqual(location.query.client_id, '1234.5678');
+    assert.strictEqual(location.query.scope, 'chat:write,users:read');
+    assert.ok(manager.states.has(location.query.state));
+});
+
+test('the redirect trades the code for an installation', async (t)=>{
+    const {slack, manager, server} = await startManager(t);
+    const installed                = new Promise((resolve)=> manager.once('installed', resolve));
+    const state                    = manager.createState();
+
+    const res = await get(server, `/slack/oauth_redirect?code=meow&state=${state}`);
+    assert.strictEqual(res.statusCode, 200);
+
+    const installation = await installed;
+    assert.strictEqual(installation.teamId, slack.team.id);
+    assert.strictEqual(installation.botToken, slack.token);
+    assert.deepStrictEqual(slack.calls.filter((call)=> call.method === 'oauth.v2.access').map((call)=> call.args.code), ['meow']);
+
+    assert.deepStrictEqual(await manager.installations.get(slack.team.id), installation);
+
+    const client = await manager.getClient(slack.team.id);
+    assert.strictEqual((await client.methods.auth.test()).team_id, slack.team.id);
+});
+
+test('redirects without a valid state, or that were cancelled, are rejected', async (t)=>{
+    const {slack, manager, server} = await startManager(t);
+    const errors                   = [];
+
+    manager.on('installError', (e)=> errors.push(e.message));
+
+    const state = manager.createState();
+
+    assert.strictEqual((await get(server, `/slack/oauth_redirect?code=meow&state=${state}`)).statusCode, 200);
+
+    // States only work once
+    assert.strictEqual((await get(server, `/slack/oauth_redirect?code=meow&state=${state}`)).statusCode, 400);
+    assert.strictEqual((await get(server, '/slack/oauth_redirect?code=meow&state=made-up')).statusCode, 400);
+    assert.strictEqual((await get(server, '/slack/oauth_redirect?code=meow')).statusCode, 400);
+    assert.strictEqual((await get(server, '/slack/oauth_redirect?error=access_denied')).statusCode, 400);
+
+    // Expired states
+    const expired = manager.createState();
+    manager.states.set(expired, Date.now() - 11*60*1000);
+    assert.strictEqual((await get(server, `/slack/oauth_redirect?code=meow&state=${expired}`)).statusCode, 400);
+
+    assert.strictEqual(errors.length, 5);
+    assert.match(errors[3], /access_denied/);
+    assert.strictEqual(slack.calls.filter((call)=> call.method === 'oauth.v2.access').length, 1);
+});
+
+function installation(users = {}){
+    return {teamId: 'T1', teamName: 'Cats', botToken: 'xoxb-cats', users, installedAt: Date.now()};
+}
+
+function revoked(tokens){
+    return {team_id: 'T1', event: {type: 'tokens_revoked', tokens}};
+}
+
+test("revoking users' tokens only removes those users", async (t)=>{
+    const {manager} = await startManager(t);
+    const revokes   = [];
+
+    manager.on('tokensRevoked', (id, users)=> revokes.push([id, users]));
+    manager.on('uninstalled', ()=> assert.fail('The bot is still installed'));
+
+    await manager.installations.save('T1', installation({U1: {token: 'xoxp-1'}, U2: {token: 'xoxp-2'}}));
+    await manager.dispatchEvent(revoked({oauth: ['U1'], bot: []}));
+
+    const saved = await manager.installations.get('T1');
+
+    assert.strictEqual(saved.botToken, 'xoxb-cats');
+    assert.deepStrictEqual(saved.users, {U2: {token: 'xoxp-2'}});
+    assert.deepStrictEqual(revokes, [['T1', ['U1']]]);
+    assert.deepStrictEqual((await manager.getClient('T1')).installation.users, {U2: {token: 'xoxp-2'}});
+});
+
+test('revoking the bot token or uninstalling deletes the installation', async (t)=>{
+    const {manager} = await startManager(t);
+    const removed   = [];
+
+    manager.on('uninstalled', (id)=> removed.push(id));
+
+    await manager.installations.save('T1', installation());
+    await manager.dispatchEvent(revoked({oauth: [], bot: ['B1']}));
+
+    assert.strictEqual(await manager.installations.get('T1'), undefined);
+
+    await manager.installations.save('T1', installation());
+    await manager.dispatchEvent({team_id: 'T1', event: {type: 'app_uninstalled'}});
+
+    assert.strictEqual(await manager.installations.get('T1'), undefined);
+    assert.deepStrictEqual(removed, ['T1', 'T1']);
+});
@@ -0,0 +1,104 @@
+const test            = require('node:test');
+const assert          = require('assert');
+const http            = require('http');
+const SlackAPI        = require('../lib/SlackAPI');
+const SlackRTM        = require('../lib/SlackRTM');
+const MockSlackServer = require('../lib/MockSlackServer');
+const clientOptions   = require('../lib/clientOptions');
+
+// Logs into an array, as [level, message]
+function createLogger(){
+    const logged = [];
+    const logger = {logged};
+
+    for(let level of ['debug', 'info', 'warn', 'error']){
+        logger[level] = (message)=> logged.push([level, message]);
+    }
+
+    return logger;
+}
+
+// A stand-in for Slack that answers everything with ok and a warning,
+// except paths with 'slow' in them, which take their time
+async function startServer(t){
+    const requests = [];
+    const server   = http.createServer((req, res)=>{
+        requests.push({url: req.url, headers: req.headers});
+
+        const answer = ()=>{
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ok: true, warning: 'superfluous_charset'}));
+        };
+
+        if(req.url.includes('slow')) return setTimeout(answer, 200);
+
+        answer();
+    });
+
+    await new Promise((resolve)=> server.listen(0, '127.0.0.1', resolve));
+    t.after(()=> new Promise((resolve)=> server.close(resolve)));
+
+    return {requests, url: `http://127.0.0.1:${server.address().port}`};
+}
+
+test('requests go to baseUrl with your user agent', async (t)=>{
+    const {requests, url} = await startServer(t);
+    const bot             = new SlackAPI('xoxb-cats', 'TEST', {baseUrl: `${url}/api`, userAgent: 'cat-bot/1.0.0', logLevel: 'silent'});
+
+    await bot.methods.api.test();
+
+    assert.strictEqual(requests[0].url, '/api/api.test');
+    assert.strictEqual(requests[0].headers['user-agent'], `cat-bot/1.0.0 ${clientOptions.DEFAULT_USER_AGENT}`);
+    assert.strictEqual(requests[0].headers.authorization, 'Bearer xoxb-cats');
+});
+
+test('timeouts can be set by method', async (t)=>{
+    const {url} = await startServer(t);
+    const bot   = new SlackAPI('xoxb-cats', 'TEST', {baseUrl: `${url}/slow/`, timeout: {default: 1000, 'api.test': 50}, queue: {maxRetries: 0}, logLevel: 'silent'});
+
+    await assert.rejects(bot.methods.api.test(), {name: 'SlackNetworkError', code: 'ESOCKETTIMEDOUT'});
+    await bot.methods.auth.test();
+
+    assert.deepStrictEqual(clientOptions.resolveRequestOptions({timeout: 10}).timeout, {default: 10});
+});
+
+test('logs go to your logger, above logLevel', async (t)=>{
+    const {url}  = await startServer(t);
+    const logger = createLogger();
+    const bot    = new SlackAPI('xoxb-cats', 'TEST', {baseUrl: url, logger, logLevel: 'warn'});
+
+    await bot.methods.api.test();
+
+    // Deprecated methods are only warned about once
+    await bot.methods.channels.archive({channel: 'C1'});
+    await bot.methods.channels.archive({channel: 'C1'});
+
+    assert.deepStrictEqual(logger.logged, [
+        ['warn', 'api.test warned: superfluous_charset'],
+        ['warn', 'channels.archive is deprecated by Slack, use conversations.archive instead'],
+        ['warn', 'channels.archive warned: superfluous_charset'],
+        ['warn', 'channels.archive warned: superfluous_charset']
+    ]);
+
+    assert.throws(()=> new SlackAPI('xoxb-cats', 'TEST', {logLevel: 'loud'}), /Unknown log level loud/);
+});
+
+test('SlackRTM on its own uses its options for rtm.start too', async (t)=>{
+    const server = new MockSlackServer();
+    await server.listen();
+
+    const rtm = new SlackRTM(server.token, 'TEST', undefined, {baseUrl: server.url, userAgent: 'cat-bot/1.0.0', logLevel: 'silent'});
+
+    t.after(()=>{
+        rtm.stop();
+
+        return server.close();
+    });
+
+    const hello = new Promise((resolve)=> rtm.on('event', (type)=> (type === 'hello') && resolve()));
+
+    await rtm.start();
+    await hello;
+
+    assert.strictEqual(server.calls[0].method, 'rtm.start');
+});
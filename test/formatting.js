@@ -0,0 +1,159 @@
+const test             = require('node:test');
+const assert           = require('assert');
+const formatting       = require('../lib/formatting');
+const SlackTestHarness = require('../lib/SlackTestHarness');
+
+const { splitText } = formatting;
+
+test('only &, < and > are escaped, and unescaping undoes it', ()=>{
+    const text = 'Tom & Jerry <3 "cats" > \'dogs\'';
+
+    assert.strictEqual(formatting.escape(text), 'Tom &amp; Jerry &lt;3 "cats" &gt; \'dogs\'');
+    assert.strictEqual(formatting.unescape(formatting.escape(text)), text);
+
+    // Escaped escapes only lose one level
+    assert.strictEqual(formatting.unescape('&amp;lt;'), '&lt;');
+    assert.strictEqual(formatting.escape(42), '42');
+});
+
+test('mentions, links and dates', ()=>{
+    const { user, channel, userGroup, broadcast, link, date } = formatting;
+
+    assert.strictEqual(user('U1'), '<@U1>');
+    assert.strictEqual(channel('C1'), '<#C1>');
+    assert.strictEqual(channel('C1', 'general'), '<#C1|general>');
+    assert.strictEqual(userGroup('S1', 'cats'), '<!subteam^S1|cats>');
+    assert.strictEqual(broadcast(), '<!here>');
+    assert.strictEqual(broadcast('everyone'), '<!everyone>');
+    assert.strictEqual(link('https://example.com'), '<https://example.com>');
+    assert.strictEqual(link('https://example.com', 'cats <3 dogs'), '<https://example.com|cats &lt;3 dogs>');
+
+    assert.strictEqual(date(1700000000.9, '{date_short} at {time}', 'Nov 14'), '<!date^1700000000^{date_short} at {time}|Nov 14>');
+    assert.strictEqual(date(new Date(1700000000000), '{date}', 'then', 'https://example.com'), '<!date^1700000000^{date}^https://example.com|then>');
+    assert.strictEqual(date(0, '{date}'), '<!date^0^{date}|Thu, 01 Jan 1970 00:00:00 GMT>');
+});
+
+test('tokenize splits text from mentions, links and dates', ()=>{
+    const text   = 'hi <@U1> &amp; <@U2|kitten> in <#C1|general>, <!here> <!subteam^S1|@cats> ' +
+                   '<!date^1700000000^{date_short}^https://example.com/when|Nov 14> ' +
+                   '<https://example.com/?a=1&amp;b=2|cats &amp; dogs> <mailto:tom@example.com> <!fish>';
+    const tokens = formatting.tokenize(text);
+
+    assert.deepStrictEqual(tokens.filter((token)=> token.type !== 'text'), [
+        {type: 'user', id: 'U1', label: undefined},
+        {type: 'user', id: 'U2', label: 'kitten'},
+        {type: 'channel', id: 'C1', label: 'general'},
+        {type: 'broadcast', range: 'here', label: undefined},
+        {type: 'usergroup', id: 'S1', label: '@cats'},
+        {type: 'date', timestamp: 1700000000, format: '{date_short}', link: 'https://example.com/when', label: 'Nov 14'},
+        {type: 'link', url: 'https://example.com/?a=1&b=2', label: 'cats & dogs'},
+        {type: 'link', url: 'mailto:tom@example.com', label: undefined},
+        {type: 'unknown', raw: '!fish', label: undefined}
+    ]);
+
+    assert.deepStrictEqual(tokens.slice(0, 3).map((token)=> token.text), ['hi ', undefined, ' & ']);
+    assert.deepStrictEqual(formatting.tokenize('just text'), [{type: 'text', text: 'just text'}]);
+    assert.deepStrictEqual(formatting.tokenize(), []);
+});
+
+test('parse looks up who and where, and toPlainText shows them like Slack', async ()=>{
+    const storage = {
+        users         : {get: (id)=> (id === 'U1') ? Promise.resolve({id, name: 'tom', profile: {display_name: 'Tom'}}) : Promise.reject(new Error('user_not_found'))},
+        conversations : {get: (id)=> (id === 'C1') ? Promise.resolve({id, name: 'cats'}) : Promise.reject(new Error('channel_not_found'))}
+    };
+
+    const text   = '<@U1> and <@U2|kitten> in <#C1|general> and <#C2>, <!channel> <!subteam^S1|@cats> <!subteam^S2> ' +
+                   'at <!date^1700000000^{time}|3pm> see <https://example.com|the page> or <https://example.com/cats> &lt;3';
+    const tokens = await formatting.parse(text, storage);
+
+    assert.strictEqual(tokens[0].user.name, 'tom');
+    assert.strictEqual(tokens[2].user, undefined);
+
+    assert.strictEqual(formatting.toPlainText(tokens), '@Tom and @kitten in #cats and #C2, @channel @cats @S2 at 3pm see the page or https://example.com/cats <3');
+
+    // Without a storage there's nothing to look up, so labels are used
+    assert.strictEqual(formatting.toPlainText(await formatting.parse('<@U1|tom> in <#C1|general>')), '@tom in #general');
+});
+
+function assertFits(chunks, maxLength){
+    for(let chunk of chunks){
+        assert.ok(chunk.length <= maxLength, `${chunk.length} characters is longer than ${maxLength}`);
+    }
+}
+
+test('text that fits is left alone', ()=>{
+    assert.deepStrictEqual(splitText('meow', 10), ['meow']);
+    assert.deepStrictEqual(splitText('', 10), []);
+});
+
+// Chunks leave 4 characters to spare, in case a code block needs closing
+test('splits on paragraphs, then lines, then words', ()=>{
+    assert.deepStrictEqual(splitText('one two three\n\nfour five', 20), ['one two three', 'four five']);
+    assert.deepStrictEqual(splitText('one two three\nfour five six', 20), ['one two three', 'four five six']);
+    assert.deepStrictEqual(splitText('one two three four five', 14), ['one two', 'three four', 'five']);
+});
+
+test("paragraphs and lines aren't used if they leave a chunk less than half full", ()=>{
+    const chunks = splitText('a\n\nbbb ccc ddd eee fff', 20);
+
+    assert.deepStrictEqual(chunks, ['a\n\nbbb ccc ddd', 'eee fff']);
+});
+
+test('words longer than a chunk are cut', ()=>{
+    const chunks = splitText('x'.repeat(25), 14);
+
+    assert.deepStrictEqual(chunks, ['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+});
+
+test('mentions and links are never split', ()=>{
+    const link   = '<https://example.com/a/very/long/path|the cat page>';
+    const text   = `see ${link} and <@U00000002>`;
+    const chunks = splitText(text, 60);
+
+    assertFits(chunks, 60);
+    assert.ok(chunks.some((chunk)=> chunk.includes(link)));
+    assert.ok(chunks.some((chunk)=> chunk.includes('<@U00000002>')));
+
+    // Even when the only space is inside the link
+    const squashed = splitText(`xxxxxxxxxx${link}`, 55);
+
+    assert.deepStrictEqual(squashed, ['xxxxxxxxxx', link]);
+});
+
+test('code blocks that are split are closed and opened again', ()=>{
+    const code   = Array.from({length: 10}, (v, i)=> `line ${i}`).join('\n');
+    const chunks = splitText(`Logs:\n\`\`\`\n${code}\n\`\`\`\nDone`, 40);
+
+    assertFits(chunks, 40);
+
+    for(let chunk of chunks){
+        assert.strictEqual((chunk.split('```').length - 1) % 2, 0, `Unbalanced fences in ${JSON.stringify(chunk)}`);
+    }
+
+    assert.ok(chunks[1].startsWith('```\n'));
+    assert.ok(chunks[chunks.length - 1].endsWith('Done'));
+
+    // Nothing's lost but whitespace and the added fences
+    const strip = (text)=> text.replace(/```/g, '').replace(/\s+/g, '');
+    assert.strictEqual(strip(chunks.join('')), strip(`Logs:\n${code}\nDone`));
+});
+
+test("chat.postMessage splits long text and doesn't change the caller's args", async (t)=>{
+    const harness = new SlackTestHarness();
+    const bot     = await harness.start({rtm: false});
+
+    t.after(()=> harness.stop());
+
+    const args = {channel: 'C00000001', text: 'meow'};
+    await bot.methods.chat.postMessage(args);
+
+    assert.deepStrictEqual(args, {channel: 'C00000001', text: 'meow'});
+
+    const res = await bot.methods.chat.postMessage({channel: 'C00000001', text: 'purr '.repeat(1000), attachments: [{text: 'cat'}]}, {thread: true, maxLength: 2000});
+
+    assert.strictEqual(res.timestamps.length, 3);
+
+    const [first, ...rest] = harness.posted.slice(-3);
+    assert.ok(rest.every((message)=> message.thread_ts === first.ts));
+    assert.deepStrictEqual(harness.posted.map((message)=> !!message.attachments), [false, false, false, true]);
+});
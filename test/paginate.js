@@ -0,0 +1,98 @@
+const test             = require('node:test');
+const assert           = require('assert');
+const SlackTestHarness = require('../lib/SlackTestHarness');
+
+const { paginate, collect } = require('../lib/paginate');
+
+// Answers like a cursor paginated method, from pages keyed by cursor
+function cursorPages(pages){
+    const requested = [];
+
+    const request = (args)=>{
+        requested.push(args);
+
+        return Promise.resolve(pages[args.cursor || '']);
+    };
+
+    return {requested, request};
+}
+
+// Answers like a history method: newest first, count at a time
+function historyPages(timestamps, count){
+    const requested = [];
+
+    const request = (args)=>{
+        requested.push(args);
+
+        const older = timestamps.filter((ts)=> args.latest == null || parseFloat(ts) < parseFloat(args.latest));
+
+        return Promise.resolve({ok: true, messages: older.slice(0, count).map((ts)=> ({ts})), has_more: older.length > count});
+    };
+
+    return {requested, request};
+}
+
+test('paginate follows next_cursor until there is none', async ()=>{
+    const {requested, request} = cursorPages({
+        ''  : {ok: true, members: [1, 2], response_metadata: {next_cursor: 'a'}},
+        'a' : {ok: true, members: [3], response_metadata: {next_cursor: 'b'}},
+        'b' : {ok: true, members: [], response_metadata: {next_cursor: ''}}
+    });
+
+    const pages = [];
+
+    for await (let page of paginate(request, {limit: 2})){
+        pages.push(page.members);
+    }
+
+    assert.deepStrictEqual(pages, [[1, 2], [3], []]);
+    assert.deepStrictEqual(requested, [{limit: 2}, {limit: 2, cursor: 'a'}, {limit: 2, cursor: 'b'}]);
+});
+
+test('history methods page back from the oldest message while has_more', async ()=>{
+    const {requested, request} = historyPages(['5.0', '4.0', '3.0', '2.0', '1.0'], 2);
+
+    const messages = await collect(request, {channel: 'C1'});
+
+    assert.deepStrictEqual(messages.map((message)=> message.ts), ['5.0', '4.0', '3.0', '2.0', '1.0']);
+    assert.deepStrictEqual(requested.map((args)=> args.latest), [undefined, '4.0', '2.0']);
+    assert.ok(requested.every((args)=> args.channel === 'C1'));
+});
+
+test('collect finds the list in each page, unless told where it is', async ()=>{
+    const {request} = cursorPages({
+        ''  : {ok: true, members: ['U1'], response_metadata: {next_cursor: 'a'}},
+        'a' : {ok: true, members: ['U2'], response_metadata: {next_cursor: ''}}
+    });
+
+    assert.deepStrictEqual(await collect(request), ['U1', 'U2']);
+
+    // The first list isn't always the one you want
+    const files = cursorPages({'': {ok: true, warnings: ['slow'], files: ['F1', 'F2']}});
+
+    assert.deepStrictEqual(await collect(files.request), ['slow']);
+    assert.deepStrictEqual(await collect(files.request, {}, 'files'), ['F1', 'F2']);
+});
+
+test('bot.methods ask for 200 at a time unless told otherwise', async (t)=>{
+    const harness = new SlackTestHarness();
+    const bot     = await harness.start({rtm: false});
+
+    t.after(()=> harness.stop());
+
+    const users = await bot.methods.collect('users.list');
+    assert.strictEqual(users.length, harness.server.users.size);
+    assert.deepStrictEqual(harness.callsTo('users.list').map((args)=> args.limit), ['200']);
+
+    const members = await bot.methods.collect('users.list', {limit: 1});
+    assert.strictEqual(members.length, users.length);
+    assert.ok(harness.callsTo('users.list').slice(1).every((args)=> args.limit === '1'));
+    assert.strictEqual(harness.callsTo('users.list').length, 1 + users.length);
+
+    // History methods don't take a limit like cursor ones do
+    const history = historyPages(['2.0', '1.0'], 1);
+    bot.methods.channels.history = history.request;
+
+    assert.strictEqual((await bot.methods.collect('channels.history', {channel: 'C1'})).length, 2);
+    assert.deepStrictEqual(history.requested[0], {channel: 'C1'});
+});
@@ -0,0 +1,92 @@
+const test            = require('node:test');
+const assert          = require('assert');
+const fs              = require('fs');
+const http            = require('http');
+const os              = require('os');
+const path            = require('path');
+const querystring     = require('querystring');
+const MockSlackServer = require('../lib/MockSlackServer');
+const slackRequest    = require('../lib/slackRequest');
+
+// Answers everything with ok, keeping each request's headers and body
+async function startServer(t){
+    const requests = [];
+    const server   = http.createServer((req, res)=>{
+        let body = '';
+
+        req.on('data', (chunk)=> body += chunk);
+        req.on('end', ()=>{
+            requests.push({method: req.method, url: req.url, headers: req.headers, body});
+
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ok: true}));
+        });
+    });
+
+    await new Promise((resolve)=> server.listen(0, '127.0.0.1', resolve));
+    t.after(()=> new Promise((resolve)=> server.close(resolve)));
+
+    return {requests, queue: slackRequest.createQueue({request: {baseUrl: `http://127.0.0.1:${server.address().port}/`}})};
+}
+
+async function startMock(t){
+    const server = new MockSlackServer();
+    await server.listen();
+    t.after(()=> server.close());
+
+    return {server, queue: slackRequest.createQueue({retryDelay: 10, request: {baseUrl: server.url}})};
+}
+
+test('methods that take JSON are sent as JSON, the rest as a form', async (t)=>{
+    const {requests, queue} = await startServer(t);
+
+    await queue.push('chat.postMessage', {token: 'xoxb-cats', channel: 'C1', text: 'meow', unfurl_links: false, blocks: [{type: 'divider'}]});
+    await queue.push('users.info', {token: 'xoxb-cats', user: 'U1', include_locale: true});
+
+    const [json, form] = requests;
+
+    assert.strictEqual(json.method, 'POST');
+    assert.match(json.headers['content-type'], /^application\/json/);
+    assert.deepStrictEqual(JSON.parse(json.body), {channel: 'C1', text: 'meow', unfurl_links: false, blocks: [{type: 'divider'}]});
+
+    // Forms can only hold strings, and the token is never in the body
+    assert.strictEqual(form.method, 'POST');
+    assert.match(form.headers['content-type'], /^application\/x-www-form-urlencoded/);
+    assert.deepStrictEqual(Object.assign({}, querystring.parse(form.body)), {user: 'U1', include_locale: 'true'});
+    assert.strictEqual(form.headers.authorization, 'Bearer xoxb-cats');
+    assert.strictEqual(form.url, '/users.info');
+});
+
+test('buffers are uploaded as multipart with a filename', async (t)=>{
+    const {server, queue} = await startMock(t);
+
+    const res = await queue.push('files.upload', {token: server.token, channels: 'C00000001', file: Buffer.from('meow meow'), filename: 'cat.txt', title: 'Cat'});
+
+    assert.deepStrictEqual([res.file.name, res.file.title, res.file.size], ['cat.txt', 'Cat', 9]);
+    assert.strictEqual(server.calls[0].args.channels, 'C00000001');
+});
+
+test('streams are uploaded as multipart, and never retried', async (t)=>{
+    const {server, queue} = await startMock(t);
+
+    const dir  = fs.mkdtempSync(path.join(os.tmpdir(), 'frozor-slack-'));
+    const file = path.join(dir, 'kitten.txt');
+
+    t.after(()=> fs.rmSync(dir, {recursive: true, force: true}));
+    fs.writeFileSync(file, 'purr');
+
+    const res = await queue.push('files.upload', {token: server.token, file: fs.createReadStream(file)});
+    assert.deepStrictEqual([res.file.name, res.file.size], ['kitten.txt', 4]);
+
+    // The stream was read by the first attempt, so there's nothing left to send again
+    server.failNext('files.upload', {status: 500});
+
+    await assert.rejects(queue.push('files.upload', {token: server.token, file: fs.createReadStream(file)}), {name: 'SlackHTTPError', statusCode: 500, retryable: false, attempts: 1});
+    assert.strictEqual(server.calls.length, 2);
+
+    // A buffer can be sent as many times as it takes
+    server.failNext('files.upload', {status: 500});
+
+    await queue.push('files.upload', {token: server.token, file: Buffer.from('purr'), filename: 'kitten.txt'});
+    assert.strictEqual(server.calls.length, 4);
+});
@@ -0,0 +1,211 @@
+const test             = require('node:test');
+const assert           = require('assert');
+const fs               = require('fs');
+const os               = require('os');
+const path             = require('path');
+const SlackAPI         = require('../lib/SlackAPI');
+const SlackTestHarness = require('../lib/SlackTestHarness');
+
+const { FileCacheAdapter } = require('../lib/cacheAdapters');
+
+function createBot(options = {}){
+    return new SlackAPI('xoxb-cats', 'TEST', Object.assign({logLevel: 'silent'}, options));
+}
+
+test('org data fills every collection, even with lists missing', ()=>{
+    const bot = createBot();
+
+    bot.rtm.emit('orgData', {
+        self     : {id: 'U1', name: 'catbot'},
+        team     : {id: 'T1', name: 'Cats'},
+        channels : [{id: 'C1', name: 'general', is_channel: true}],
+        ims      : [{id: 'D1', is_im: true, user: 'U2'}]
+    });
+
+    assert.deepStrictEqual(Object.keys(bot.cache.conversations), ['C1', 'D1']);
+    assert.strictEqual(bot.cache.self.name, 'catbot');
+
+    assert.doesNotThrow(()=> bot.rtm.emit('orgData', {self: {id: 'U1'}, team: {id: 'T1'}}));
+});
+
+// Collects every *_diff event the bot emits
+function collectDiffs(bot){
+    const diffs = [];
+    const emit  = bot.emit;
+
+    bot.emit = function(type, ...args){
+        if(type.endsWith('_diff')) diffs.push([type, ...args]);
+
+        return emit.call(this, type, ...args);
+    };
+
+    return diffs;
+}
+
+test('events update the cache and emit diffs', ()=>{
+    const bot   = createBot();
+    const diffs = collectDiffs(bot);
+
+    bot.storage.conversations.save({id: 'C1', name: 'general', is_channel: true, members: ['U1']});
+    const old = bot.cache.conversations.C1;
+
+    bot.emitEvent('channel_rename', {type: 'channel_rename', channel: {id: 'C1', name: 'cats'}});
+    bot.emitEvent('member_joined_channel', {type: 'member_joined_channel', channel: 'C1', user: 'U2'});
+
+    assert.strictEqual(bot.cache.conversations.C1.name, 'cats');
+    assert.deepStrictEqual(bot.cache.conversations.C1.members, ['U1', 'U2']);
+
+    // Replaced rather than changed, so the old version can be kept
+    assert.strictEqual(old.name, 'general');
+    assert.deepStrictEqual(diffs.map(([type])=> type), ['channel_rename_diff', 'member_joined_channel_diff']);
+    assert.strictEqual(diffs[0][2], old);
+
+    bot.emitEvent('channel_deleted', {type: 'channel_deleted', channel: 'C1'});
+
+    assert.strictEqual(bot.cache.conversations.C1, undefined);
+    assert.deepStrictEqual(diffs[2].slice(0, 2), ['channel_deleted_diff', undefined]);
+});
+
+test("changes that don't change anything, or to things that aren't cached, emit nothing", ()=>{
+    const bot   = createBot();
+    const diffs = collectDiffs(bot);
+
+    bot.storage.conversations.save({id: 'C1', name: 'general', is_channel: true, is_archived: false});
+
+    bot.emitEvent('channel_unarchive', {type: 'channel_unarchive', channel: 'C1'});
+    bot.emitEvent('channel_archive', {type: 'channel_archive', channel: 'C2'});
+
+    assert.deepStrictEqual(diffs, []);
+    assert.strictEqual(bot.cache.conversations.C2, undefined);
+});
+
+test('user and team changes', ()=>{
+    const bot      = createBot();
+    const diffs    = collectDiffs(bot);
+    const profiles = [];
+
+    bot.on('profile_change', (user, old)=> profiles.push([user.profile.display_name, old.profile.display_name]));
+
+    bot.storage.team.save({id: 'T1', name: 'Cats', prefs: {}});
+    bot.storage.users.save({id: 'U1', name: 'cat', profile: {display_name: 'Cat'}});
+
+    bot.emitEvent('user_change', {type: 'user_change', user: {id: 'U1', name: 'cat', profile: {display_name: 'Big Cat'}}});
+    bot.emitEvent('team_rename', {type: 'team_rename', name: 'More Cats'});
+    bot.emitEvent('team_pref_change', {type: 'team_pref_change', name: 'meow', value: true});
+
+    assert.deepStrictEqual(profiles, [['Big Cat', 'Cat']]);
+    assert.deepStrictEqual(diffs.map(([type])=> type), ['user_change_diff', 'team_rename_diff', 'team_pref_change_diff']);
+    assert.deepStrictEqual(bot.cache.team, {id: 'T1', name: 'More Cats', prefs: {meow: true}});
+});
+
+test('emoji changes emit diffs with the name', ()=>{
+    const bot   = createBot();
+    const diffs = collectDiffs(bot);
+
+    bot.storage.emoji.save('cat', 'https://emoji/cat.png');
+    bot.storage.emoji.save('kitty', 'alias:cat');
+
+    bot.emitEvent('emoji_changed', {type: 'emoji_changed', subtype: 'add', name: 'cat', value: 'https://emoji/cat2.png'});
+    bot.emitEvent('emoji_changed', {type: 'emoji_changed', subtype: 'add', name: 'dog', value: 'https://emoji/dog.png'});
+    bot.emitEvent('emoji_changed', {type: 'emoji_changed', subtype: 'remove', names: ['kitty', 'fox']});
+
+    assert.deepStrictEqual(bot.cache.emoji, {cat: 'https://emoji/cat2.png', dog: 'https://emoji/dog.png'});
+    assert.deepStrictEqual(diffs, [
+        ['emoji_changed_diff', 'https://emoji/cat2.png', 'https://emoji/cat.png', 'cat'],
+        ['emoji_changed_diff', undefined, 'alias:cat', 'kitty']
+    ]);
+});
+
+// A bot connected to a MockSlackServer, for lookups
+async function startBot(t, botOptions = {}){
+    const harness = new SlackTestHarness({botOptions});
+    const bot     = await harness.start({rtm: false});
+
+    t.after(()=> harness.stop());
+
+    return {harness, bot};
+}
+
+function wait(ms){
+    return new Promise((resolve)=> setTimeout(resolve, ms));
+}
+
+test('cached objects are looked up again once they expire', async (t)=>{
+    const {harness, bot} = await startBot(t, {cacheTTL: {users: 50}});
+
+    await bot.storage.users.get('U00000002');
+    await bot.storage.users.get('U00000002');
+    assert.strictEqual(harness.callsTo('users.info').length, 1);
+
+    await wait(60);
+
+    await bot.storage.users.get('U00000002');
+    assert.strictEqual(harness.callsTo('users.info').length, 2);
+
+    bot.storage.users.invalidate('U00000002');
+
+    await bot.storage.users.get('U00000002');
+    assert.strictEqual(harness.callsTo('users.info').length, 3);
+});
+
+test('lookups for the same thing at the same time make one request', async (t)=>{
+    const {harness, bot} = await startBot(t);
+
+    const [a, b] = await Promise.all([bot.storage.users.get('U00000002'), bot.storage.users.get('U00000002')]);
+    const [self] = await Promise.all([bot.storage.self.get(), bot.storage.team.get()]);
+
+    assert.strictEqual(a, b);
+    assert.strictEqual(self.id, harness.server.self.id);
+    assert.strictEqual(harness.callsTo('users.info').length, 1);
+    assert.strictEqual(harness.callsTo('auth.test').length, 1);
+});
+
+test('a file cache is loaded back with when things were saved', async (t)=>{
+    const dir  = fs.mkdtempSync(path.join(os.tmpdir(), 'frozor-slack-'));
+    const file = path.join(dir, 'cache.json');
+
+    t.after(()=> fs.rmSync(dir, {recursive: true, force: true}));
+
+    const bot = createBot({cache: new FileCacheAdapter(file, {writeDelay: 0})});
+
+    // Both changes are written at once, and resolve with that write. The
+    // write timer doesn't keep the process alive, so flush like you would
+    // before exiting instead of hoping something else does.
+    bot.storage.users.save({id: 'U1', name: 'cat'});
+    const written = bot.cacheAdapter.set('users', 'U2', {id: 'U2', name: 'kitten'}, Date.now() - 60*1000);
+
+    await bot.cacheAdapter.flush();
+    await written;
+
+    const reloaded = createBot({cache: new FileCacheAdapter(file), cacheTTL: {users: 30*1000}});
+    await reloaded.storage.load();
+
+    assert.deepStrictEqual(reloaded.cache.users, {U1: {id: 'U1', name: 'cat'}, U2: {id: 'U2', name: 'kitten'}});
+
+    const lookups = [];
+    reloaded.methods.users.info = (args)=>{
+        lookups.push(args.user);
+
+        return Promise.resolve({ok: true, user: {id: args.user, name: 'big kitten'}});
+    };
+
+    // U2 was saved a minute ago, so it's stale and looked up again
+    assert.strictEqual(await reloaded.storage.users.get('U1'), reloaded.cache.users.U1);
+    assert.strictEqual((await reloaded.storage.users.get('U2')).name, 'big kitten');
+    assert.deepStrictEqual(lookups, ['U2']);
+});
+
+test('failed writes are emitted as cacheError, once per write', async (t)=>{
+    const bot    = createBot({cache: new FileCacheAdapter(path.join(os.tmpdir(), 'frozor-slack-missing', 'dir', 'cache.json'), {writeDelay: 0})});
+    const errors = [];
+
+    bot.on('cacheError', (e)=> errors.push(e));
+
+    bot.storage.users.save({id: 'U1', name: 'cat'});
+    bot.storage.users.save({id: 'U2', name: 'kitten'});
+
+    await wait(20);
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].code, 'ENOENT');
+});